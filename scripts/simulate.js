@@ -0,0 +1,219 @@
+/**
+ * Dive, Laugh, Love — headless game simulator for balance analysis.
+ *
+ * Plays many games with the shared domain engine, every seat driven by a bot
+ * policy (see src/domain/bots.js), and reports win rates per seat, average
+ * scores, drown rates, anchor / trident / depth-charge usage and round lengths.
+ *
+ * Usage:  node scripts/simulate.js [options]
+ *   --games N            games to play (default 1000)
+ *   --players N          seats (default 4, or the number of --policies)
+ *   --policies a,b,…     bot policy per seat, repeated to fill the seats (default greedy)
+ *   --rules NAME         rule preset from RULE_PRESETS (default standard)
+ *   --set key=value      override one rule, e.g. --set anchorCost=4 (repeatable, value is JSON)
+ *   --coop MISSION       play co-op ('treasure' or 'monsters') instead of versus
+ *   --seed N             seed of the first game; game i uses seed N + i (default 1)
+ *   --json               print the report as JSON instead of a table
+ *   --help               print this usage
+ *
+ * Example:  npm run simulate -- --games 5000 --policies greedy,aggressive --set tridentKillMin=4
+ */
+
+import { readFileSync } from 'node:fs';
+import { newGame, resolveRules } from '../src/domain/gameState.js';
+import { applyAction } from '../src/domain/actions.js';
+import { BOT_POLICIES, chooseBotAction } from '../src/domain/bots.js';
+import { playerScore } from '../src/domain/scoring.js';
+import { createRng } from '../src/infra/rng.js';
+import { MIN_PLAYERS, MAX_PLAYERS, RULE_PRESETS } from '../src/infra/constants.js';
+
+const MAX_ACTIONS_PER_GAME = 10000; // safety net against a policy that never ends a round
+
+/* ═══════════════════════════════════════════════════════════
+   Command-line options
+   ═══════════════════════════════════════════════════════════ */
+
+const fail = (message) => {
+  console.error(`simulate: ${message}`);
+  process.exit(1);
+};
+
+/** Print the usage part of this file's header comment. */
+const printUsage = () => {
+  const header = readFileSync(new URL(import.meta.url), 'utf8').split('*/')[0];
+  const lines = header.split('\n').map((line) => line.replace(/^ \* ?/, ''));
+  console.log(lines.slice(lines.findIndex((line) => line.startsWith('Usage:'))).join('\n').trimEnd());
+  process.exit(0);
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/** Fail on a --set the rule set would ignore, so no report claims rules that were never played. */
+const checkOverride = (key, value) => {
+  const resolved = resolveRules({ [key]: value });
+  if (!Object.hasOwn(resolved, key)) fail(`--set ${key}: unknown rule (${Object.keys(resolved).join(', ')})`);
+  if (!sameValue(resolved[key], value)) fail(`--set ${key}: ${JSON.stringify(value)} is not a valid value`);
+};
+
+const parseArgs = (argv) => {
+  const opts = { games: 1000, players: null, policies: ['greedy'], rules: 'standard', overrides: {}, coop: null, seed: 1, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) fail(`${arg} needs a value`);
+      return argv[++i];
+    };
+    switch (arg) {
+      case '--games':    opts.games = parseInt(value(), 10); break;
+      case '--players':  opts.players = parseInt(value(), 10); break;
+      case '--policies': opts.policies = value().split(',').map((p) => p.trim()); break;
+      case '--rules':    opts.rules = value(); break;
+      case '--coop':     opts.coop = value(); break;
+      case '--seed':     opts.seed = parseInt(value(), 10); break;
+      case '--json':     opts.json = true; break;
+      case '--help':     printUsage(); break;
+      case '--set': {
+        const [key, raw] = value().split('=');
+        try { opts.overrides[key] = JSON.parse(raw); } catch { fail(`--set ${key}: value must be JSON`); }
+        checkOverride(key, opts.overrides[key]);
+        break;
+      }
+      default: fail(`unknown option ${arg}`);
+    }
+  }
+  opts.players = opts.players || Math.max(opts.policies.length, 4);
+
+  if (!(opts.games > 0)) fail('--games must be a positive number');
+  if (!(opts.players >= MIN_PLAYERS && opts.players <= MAX_PLAYERS)) fail(`--players must be ${MIN_PLAYERS}–${MAX_PLAYERS}`);
+  if (!Number.isInteger(opts.seed)) fail('--seed must be an integer');
+  if (!Object.hasOwn(RULE_PRESETS, opts.rules)) fail(`unknown rule preset "${opts.rules}" (${Object.keys(RULE_PRESETS).join(', ')})`);
+  if (opts.coop && !['treasure', 'monsters'].includes(opts.coop)) fail('--coop must be treasure or monsters');
+  const unknown = opts.policies.find((p) => !Object.hasOwn(BOT_POLICIES, p));
+  if (unknown) fail(`unknown policy "${unknown}" (${Object.keys(BOT_POLICIES).join(', ')})`);
+  return opts;
+};
+
+/* ═══════════════════════════════════════════════════════════
+   Simulation
+   ═══════════════════════════════════════════════════════════ */
+
+const newSeatStats = (policy) => ({
+  policy, wins: 0, score: 0, dives: 0, drowned: 0,
+  anchors: 0, tridents: 0, kills: 0, backfires: 0, depthCharges: 0,
+});
+
+/** Play one game to the end, adding its numbers to `totals`. */
+const playGame = (opts, seats, rules, seed, totals) => {
+  const names = seats.map((s, i) => `${s.policy}-${i + 1}`);
+  let state = newGame(names, { coop: !!opts.coop, mission: opts.coop, seed, rules });
+  const botRng = createRng(seed);
+
+  let actions = 0;
+  while (!state.gameOver && actions < MAX_ACTIONS_PER_GAME) {
+    const playerId = state.currentPlayerIndex;
+    const seat = seats[playerId];
+    const action = chooseBotAction(state, playerId, { policy: seat.policy, rng: botRng });
+    const result = applyAction(state, action);
+    if (result.error) throw new Error(`policy ${seat.policy} chose an illegal move: ${result.error.code}`);
+    const { event } = result;
+    actions++;
+
+    if (action.type === 'choose-direction' || action.type === 'skip-sub-turn') totals.turns++;
+    if (action.type === 'choose-direction' && state.players[playerId].position === -1) seat.dives++;
+    if (event.lastAnchor) seat.anchors++;
+    if (action.type === 'trident') {
+      seat.tridents++;
+      if (event.lastKill && !event.lastKill.backfire) seat.kills++;
+      if (event.lastKill?.backfire) seat.backfires++;
+    }
+    if (action.type === 'depth-charge') seat.depthCharges++;
+    for (const id of event.drowned || []) seats[id].drowned++;
+
+    state = result.state;
+  }
+
+  if (!state.gameOver) {
+    totals.unfinished++;
+    return;
+  }
+  totals.rounds += state.round;
+  if (state.coop) {
+    if (state.coopWin) totals.coopWins++;
+    totals.coopScore += state.coopScore;
+    return;
+  }
+  state.players.forEach((p, i) => {
+    seats[i].score += playerScore(p);
+    if (state.winner.includes(p.name)) seats[i].wins += 1 / state.winner.length; // shared wins are split
+  });
+};
+
+const simulate = (opts) => {
+  const preset = resolveRules(RULE_PRESETS[opts.rules].rules);
+  const rules = resolveRules({ ...RULE_PRESETS[opts.rules].rules, ...opts.overrides });
+  // The rules actually played that differ from the preset's
+  const overrides = Object.fromEntries(Object.entries(rules).filter(([key, value]) => !sameValue(value, preset[key])));
+  const seats = Array.from({ length: opts.players }, (_, i) => newSeatStats(opts.policies[i % opts.policies.length]));
+  const totals = { rounds: 0, turns: 0, unfinished: 0, coopWins: 0, coopScore: 0 };
+
+  for (let g = 0; g < opts.games; g++) playGame(opts, seats, rules, opts.seed + g, totals);
+
+  const finished = opts.games - totals.unfinished;
+  const perGame = (n) => n / Math.max(1, finished);
+  const ratio = (n, d) => (d > 0 ? n / d : 0);
+  return {
+    games: opts.games,
+    finished,
+    mode: opts.coop ? `co-op (${opts.coop})` : 'versus',
+    rules: opts.rules,
+    overrides,
+    ruleSet: rules,
+    avgRounds: perGame(totals.rounds),
+    avgTurnsPerRound: ratio(totals.turns, totals.rounds),
+    ...(opts.coop && { coopWinRate: perGame(totals.coopWins), avgCoopScore: perGame(totals.coopScore) }),
+    seats: seats.map((s, i) => ({
+      seat: i + 1,
+      policy: s.policy,
+      winRate: opts.coop ? null : perGame(s.wins),
+      avgScore: opts.coop ? null : perGame(s.score),
+      drownRate: ratio(s.drowned, s.dives),
+      anchorsPerGame: perGame(s.anchors),
+      tridentsPerGame: perGame(s.tridents),
+      tridentKillRate: ratio(s.kills, s.tridents),
+      tridentBackfireRate: ratio(s.backfires, s.tridents),
+      depthChargesPerGame: perGame(s.depthCharges),
+    })),
+  };
+};
+
+/* ═══════════════════════════════════════════════════════════
+   Report
+   ═══════════════════════════════════════════════════════════ */
+
+const pct = (x) => (x === null ? '—' : `${(x * 100).toFixed(1)}%`);
+const num = (x) => (x === null ? '—' : x.toFixed(2));
+
+const printTable = (report) => {
+  const overrides = Object.entries(report.overrides).map(([k, v]) => `${k}=${JSON.stringify(v)}`).join(' ');
+  console.log(`\n${report.finished}/${report.games} games · ${report.mode} · rules: ${report.rules}${overrides ? ` + ${overrides}` : ''}`);
+  console.log(`Rounds per game: ${num(report.avgRounds)} · turns per round: ${num(report.avgTurnsPerRound)}`);
+  if (report.coopWinRate !== undefined) {
+    console.log(`Team win rate: ${pct(report.coopWinRate)} · team score: ${num(report.avgCoopScore)}`);
+  }
+
+  const header = ['Seat', 'Policy', 'Win %', 'Score', 'Drown %', 'Anchors', 'Tridents', 'Kill %', 'Backfire %', 'Charges'];
+  const rows = report.seats.map((s) => [
+    String(s.seat), s.policy, pct(s.winRate), num(s.avgScore), pct(s.drownRate),
+    num(s.anchorsPerGame), num(s.tridentsPerGame), pct(s.tridentKillRate), pct(s.tridentBackfireRate), num(s.depthChargesPerGame),
+  ]);
+  const widths = header.map((h, c) => Math.max(h.length, ...rows.map((r) => r[c].length)));
+  const line = (cells) => cells.map((cell, c) => (c < 2 ? cell.padEnd(widths[c]) : cell.padStart(widths[c]))).join('  ');
+  console.log(`\n${line(header)}\n${widths.map((w) => '─'.repeat(w)).join('  ')}`);
+  rows.forEach((r) => console.log(line(r)));
+  console.log('\nAnchors, tridents and charges are per game; drown % is per dive from the submarine.\n');
+};
+
+const opts = parseArgs(process.argv.slice(2));
+const report = simulate(opts);
+if (opts.json) console.log(JSON.stringify(report, null, 2));
+else printTable(report);
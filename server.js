@@ -4,19 +4,94 @@
  * Features:
  *  - Serves static files (replaces python -m http.server)
  *  - Room-based multiplayer via room codes
- *  - All game logic runs server-side (authoritative)
- *  - Broadcasts state to all clients after each action
+ *  - All game logic runs server-side (authoritative), using the same
+ *    src/domain modules as the browser
+ *  - Sends each client the full state once, then after each action a patch
+ *    with only what changed; patches are numbered, so a client that misses
+ *    one can ask for the full state again
+ *  - Hosts can fill seats with search AI players, which move in-process
+ *  - Each client gets its own projection of the state: face-down chip
+ *    values and the seed never leave the server
+ *  - Spectators can watch a lobby or a running game without taking a seat
+ *  - Every player gets a reconnect token; a player who drops mid-game can
+ *    resume their seat with it, and after a grace period an AI plays the
+ *    seat until they do
+ *  - The host can kick players, reorder seats and lock the room from the
+ *    lobby; if the host leaves, the next player in seat order takes over
+ *  - Hosts can set a turn clock: a player who runs out of time gets a
+ *    default move (skip the pick-up, keep the direction or head back up)
+ *  - Rooms are snapshotted to disk and restored on boot, so a restart
+ *    doesn't end running games: clients reconnect and resume their seats
+ *    with their tokens. SIGTERM / SIGINT save a final snapshot before exit
+ *  - Idle lobbies and finished games are closed after a while, and ping/pong
+ *    heartbeats drop connections that went silent (e.g. a sleeping laptop)
+ *  - Messages follow the versioned protocol in src/infra/protocol.js: clients
+ *    say hello with their version first, and every message is checked against
+ *    its schema; bad ones get a typed error ({ type: 'error', code, message })
+ *  - Abuse limits: message size, messages per second per connection,
+ *    connections per address and rooms on the server are capped, a
+ *    connection sits in one room at a time, and names are cleaned up
  *
  * Usage:  node server.js [port]
+ * Env:    DISCONNECT_GRACE_MS — how long a dropped seat waits before an AI
+ *         takes over (default 20000)
+ *         HIDE_CARRIED_VALUES=1 — play every room with the hide-carried
+ *         rule (carried chip values stay private until banked)
+ *         DATA_DIR — where room snapshots are kept (default ./data)
+ *         SNAPSHOT_INTERVAL_MS — how often changed rooms are saved
+ *         (default 5000)
+ *         LOBBY_IDLE_MS — close a lobby nobody has used for this long
+ *         (default 1800000, 30 minutes)
+ *         FINISHED_IDLE_MS — close a finished game after this long without
+ *         a restart (default 600000, 10 minutes)
+ *         HEARTBEAT_MS — ping interval; a connection that misses a pong is
+ *         dropped (default 30000)
+ *         MAX_MESSAGE_BYTES — largest message a client may send; bigger
+ *         ones close the connection (default 16384)
+ *         RATE_LIMIT_PER_SEC / RATE_LIMIT_BURST — messages per second a
+ *         connection may send on average / in a burst (default 10 / 30)
+ *         MAX_ROOMS — rooms the server holds at once (default 500)
+ *         MAX_CONNECTIONS_PER_IP — open connections per client address
+ *         (default 20)
+ *         TRUST_PROXY=1 — take the client address from X-Forwarded-For
+ *         (set this behind a proxy or tunnel such as ngrok; with N proxies
+ *         in a chain, set it to N)
  */
 
 import { createServer } from 'http';
 import { readFile } from 'fs/promises';
+import { mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
 import { extname, join } from 'path';
+import { randomUUID } from 'crypto';
 import { WebSocketServer } from 'ws';
+import { newGame } from './src/domain/gameState.js';
+import { applyAction, timeoutAction } from './src/domain/actions.js';
+import { projectState } from './src/domain/visibility.js';
+import { handsAreSecret } from './src/domain/rules.js';
+import { AI_LEVELS, searchActionAsync } from './src/domain/search.js';
+import { createRng, randomWideSeed } from './src/infra/rng.js';
+import { diffState } from './src/infra/patch.js';
+import { PROTOCOL_VERSION, checkClientMessage, cleanName, protocolError } from './src/infra/protocol.js';
+import { MIN_PLAYERS, MAX_PLAYERS, RULE_PRESETS, BOT_TURN_DELAY_MS } from './src/infra/constants.js';
 
 const PORT = parseInt(process.argv[2] || '8080', 10);
 const ROOT = new URL('.', import.meta.url).pathname;
+const DISCONNECT_GRACE_MS = parseInt(process.env.DISCONNECT_GRACE_MS || '20000', 10);
+const STAND_IN_LEVEL = 'medium'; // AI level that plays for a disconnected player
+const HIDE_CARRIED = process.env.HIDE_CARRIED_VALUES === '1';
+const DATA_DIR = process.env.DATA_DIR || join(ROOT, 'data');
+const SNAPSHOT_FILE = join(DATA_DIR, 'rooms.json');
+const SNAPSHOT_INTERVAL_MS = parseInt(process.env.SNAPSHOT_INTERVAL_MS || '5000', 10);
+const SNAPSHOT_VERSION = 1; // bump when the snapshot layout changes; older files are ignored
+const LOBBY_IDLE_MS = parseInt(process.env.LOBBY_IDLE_MS || '1800000', 10);
+const FINISHED_IDLE_MS = parseInt(process.env.FINISHED_IDLE_MS || '600000', 10);
+const HEARTBEAT_MS = parseInt(process.env.HEARTBEAT_MS || '30000', 10);
+const MAX_MESSAGE_BYTES = parseInt(process.env.MAX_MESSAGE_BYTES || '16384', 10);
+const RATE_LIMIT_PER_SEC = parseInt(process.env.RATE_LIMIT_PER_SEC || '10', 10);
+const RATE_LIMIT_BURST = parseInt(process.env.RATE_LIMIT_BURST || '30', 10);
+const MAX_ROOMS = parseInt(process.env.MAX_ROOMS || '500', 10);
+const MAX_CONNECTIONS_PER_IP = parseInt(process.env.MAX_CONNECTIONS_PER_IP || '20', 10);
+const TRUST_PROXY = parseInt(process.env.TRUST_PROXY || '0', 10); // proxies in front of the server
 
 /* ═══════════════════════════════════════════════════════════
    MIME types for static file serving
@@ -33,708 +108,506 @@ const MIME = {
 };
 
 /* ═══════════════════════════════════════════════════════════
-   Game constants (mirror of src/infra/constants.js)
-   ═══════════════════════════════════════════════════════════ */
-
-const MIN_PLAYERS = 2;
-const MAX_PLAYERS = 6;
-const TOTAL_ROUNDS = 3;
-const STARTING_OXYGEN = 25;
-const CHIP_LEVELS = [
-  1,1,1,1,1,1,1,1,
-  2,2,2,2,2,2,2,2,
-  3,3,3,3,3,3,3,3,
-  4,4,4,4,4,4,4,4,
-];
-const LEVEL_VALUE_RANGES = { 1:[0,3], 2:[4,7], 3:[8,11], 4:[12,15] };
-const BOARD_SIZE = CHIP_LEVELS.length;
-const DEPTH_CHARGES_PER_ROUND = 1;
-const DEPTH_CHARGE_OXYGEN_COST = 3;
-const ANCHOR_COST = 3;
-const ANCHOR_MULTIPLIER = 5;
-const COOP_TREASURE_PER_PLAYER = 30;
-const COOP_BOMB_COST = 20;
-
-/* ═══════════════════════════════════════════════════════════
-   Game state factory (mirror of src/domain/gameState.js)
+   Room management
    ═══════════════════════════════════════════════════════════ */
 
-const randInt = (min, max) => Math.floor(Math.random() * (max - min + 1)) + min;
-
-const createChips = () =>
-  CHIP_LEVELS.map((level, index) => {
-    const [lo, hi] = LEVEL_VALUE_RANGES[level];
-    return { id: index, level, value: randInt(lo, hi), discovered: false };
-  });
-
-const createPlayer = (id, name) => ({
-  id, name, position: -1, direction: 'down',
-  carried: [], scored: [], drowned: false,
-  dead: false, depthCharges: DEPTH_CHARGES_PER_ROUND, anchorActive: false,
-});
-
-const createGameState = (playerNames) => {
-  const players = playerNames.map((name, i) => createPlayer(i, name));
-  return {
-    round: 1, maxRounds: TOTAL_ROUNDS, oxygen: STARTING_OXYGEN,
-    boardSize: BOARD_SIZE, chips: createChips(), players,
-    currentPlayerIndex: 0, turnPhase: 'direction', diceResult: null,
-    roundOver: false, gameOver: false, winner: null, log: [],
-  };
-};
-
-/* ── Co-op game state ────────────────────────────────────── */
-
-const createMonsterChips = (monsterCount) => {
-  const chips = createChips();
-  const lo = 6;
-  const hi = chips.length - 3;
-  const span = hi - lo;
-  const positions = [];
-  for (let i = 0; i < monsterCount; i++) {
-    const pos = lo + Math.round((span / (monsterCount + 1)) * (i + 1));
-    positions.push(pos);
-  }
-  for (const pos of positions) {
-    chips[pos] = { id: pos, level: 'monster', value: 0, discovered: true, monster: true };
-  }
-  return chips;
-};
-
-const createCoopGameState = (playerNames, mission) => {
-  const players = playerNames.map((name, i) => createPlayer(i, name));
-  const isMonsterMission = mission === 'monsters';
-  const monsterCount = playerNames.length;
-  const chips = isMonsterMission ? createMonsterChips(monsterCount) : createChips();
-  return {
-    round: 1, maxRounds: TOTAL_ROUNDS, oxygen: STARTING_OXYGEN,
-    boardSize: BOARD_SIZE, chips, players,
-    currentPlayerIndex: 0, turnPhase: 'direction', diceResult: null,
-    roundOver: false, gameOver: false, winner: null, log: [],
-    coop: true,
-    mission,
-    coopScore: 0,
-    coopTarget: mission === 'treasure' ? COOP_TREASURE_PER_PLAYER * playerNames.length : null,
-    monstersRemaining: isMonsterMission ? monsterCount : 0,
-    coopWin: false,
-    coopLose: false,
-    bombCost: COOP_BOMB_COST,
-  };
-};
+/** @type {Map<string, Room>} */
+const rooms = new Map();
 
-/* ═══════════════════════════════════════════════════════════
-   Rule helpers (mirror of src/domain/rules.js)
-   ═══════════════════════════════════════════════════════════ */
+/**
+ * Room structure:
+ * {
+ *   code:    string,
+ *   host:    WebSocket | null,  // null only while every player is disconnected
+ *   clients: Map<WebSocket, { name, playerId, token, spectator }>, // token: secret for resuming the seat; playerId null for spectators
+ *   names:   string[],          // ordered player names
+ *   state:   object | null,     // game state (null = lobby)
+ *   started: boolean,
+ *   locked:  boolean,           // no new players or spectators may join
+ *   variant: string,            // key of RULE_PRESETS used for new games
+ *   aiSeats: Object<string, string>, // AI player name → AI_LEVELS key (incl. stand-ins)
+ *   away:    Map<string, { playerId, token, timer, replaced }>, // players who dropped mid-game
+ *   closeTimer: Timeout | null, // every player dropped: the room closes unless someone resumes
+ *   watcherTokens: Map<string, string>, // token → name of spectators who dropped (so they can resume)
+ *   aiRng:   object,            // randomness for AI playouts (never room.state.rng)
+ *   aiBusy:  boolean,           // an AI is searching for a move
+ *   turnSeconds: number,        // turn clock per phase (one of TURN_CLOCK_SECONDS, 0 = off)
+ *   turnClock: { timer, playerId, deadline, totalMs } | null, // running clock for the current phase
+ *   lastActivity: number,       // Date.now() of the last message or move (for idle expiry)
+ * }
+ */
 
-const oxygenCost = (player) => player.carried.length;
-const consumeOxygen = (oxygen, player) => Math.max(0, oxygen - oxygenCost(player));
-const isOnSubmarine = (player) => player.position === -1;
-
-const computeDestination = (currentPos, steps, direction, occupiedPositions, boardSize, monsterPositions = null) => {
-  let remaining = steps;
-  let pos = currentPos;
-  if (direction === 'down') {
-    while (remaining > 0) {
-      const next = pos + 1;
-      if (next >= boardSize) { pos = boardSize - 1; break; }
-      if (monsterPositions && monsterPositions.has(next)) break;
-      pos = next;
-      if (occupiedPositions.has(pos)) continue;
-      remaining -= 1;
-    }
-  } else {
-    while (remaining > 0) {
-      const next = pos - 1;
-      if (next < 0) return -1;
-      if (monsterPositions && monsterPositions.has(next)) break;
-      pos = next;
-      if (occupiedPositions.has(pos)) continue;
-      remaining -= 1;
-    }
+/** A free four-character room code, or null if a few random tries all hit taken codes. */
+const generateCode = () => {
+  const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no ambiguous I/O/0/1
+  for (let attempt = 0; attempt < 20; attempt++) {
+    let code = '';
+    for (let i = 0; i < 4; i++) code += chars[Math.floor(Math.random() * chars.length)];
+    if (!rooms.has(code)) return code;
   }
-  return pos;
+  return null;
 };
 
-const occupiedBy = (players, excludeId) => {
-  const s = new Set();
-  for (const p of players) {
-    if (p.id !== excludeId && p.position >= 0 && !p.dead) s.add(p.position);
-  }
-  return s;
+const send = (ws, msg) => {
+  if (ws.readyState === 1) ws.send(JSON.stringify(msg));
 };
 
-const canPickUp = (player, chips) => player.position >= 0 && chips[player.position] !== null;
-const canDrop = (player, chips) => player.carried.length > 0 && player.position >= 0 && chips[player.position] === null;
+/** Typed error reply (see PROTOCOL_ERRORS), optionally with a more specific message. */
+const sendError = (ws, code, message) => send(ws, { type: 'error', ...protocolError(code, message) });
 
-const canBuyAnchor = (player) => {
-  if (player.position !== -1 || player.anchorActive) return false;
-  return player.scored.reduce((s, c) => s + c.value, 0) >= ANCHOR_COST;
-};
+/** Connected clients holding a seat (spectators don't count). */
+const playerCount = (room) => [...room.clients.values()].filter((info) => !info.spectator).length;
 
-const canDepthCharge = (player, chips, oxygen) => {
-  if (player.position < 0 || player.depthCharges <= 0) return false;
-  if (chips[player.position] === null) return false;
-  return oxygen >= DEPTH_CHARGE_OXYGEN_COST;
-};
+const watcherNames = (room) => [...room.clients.values()].filter((info) => info.spectator).map((info) => info.name);
 
-const canBuyBomb = (player, coopScore) => {
-  if (player.position !== -1) return false;
-  return coopScore >= COOP_BOMB_COST;
-};
+/**
+ * State update for one client, projected to what they may see: the full view
+ * for a connection that has none yet (or with `full`), otherwise a patch
+ * against the view it was sent last (ws.sync). `seq` counts the updates on
+ * the connection. Pass the same `cache` to share projections and patches
+ * between clients who see the same thing.
+ */
+const stateMessage = (room, ws, { event = {}, full = false, cache = { views: new Map(), patches: new Map() } } = {}) => {
+  const info = room.clients.get(ws);
+  // Everyone sees the same board unless players' own hands are private
+  const key = handsAreSecret(room.state.rules) ? info.playerId : 'all';
+  if (!cache.views.has(key)) cache.views.set(key, projectState(room.state, info.playerId));
+  const view = cache.views.get(key);
+  const base = full ? null : ws.sync;
+  const seq = (ws.sync?.seq ?? 0) + 1;
+  ws.sync = { seq, view };
+  const common = { seq, playerId: info.playerId, event, clock: clockInfo(room) };
+  if (!base) return { type: 'state', state: view, ...common };
+
+  // Clients of one view that are in step share a patch (keyed by the view they start from)
+  if (!cache.patches.has(key)) cache.patches.set(key, new Map());
+  const patches = cache.patches.get(key);
+  if (!patches.has(base.view)) patches.set(base.view, diffState(base.view, view));
+  return { type: 'patch', patch: patches.get(base.view), ...common };
+};
+
+/** Send one client the full state, e.g. when they (re)join or lost track of the patches. */
+const sendFullState = (room, ws) => send(ws, stateMessage(room, ws, { full: true }));
 
-const canUseBomb = (player, chips) => {
-  if (player.position < 0) return false;
-  if (!player.bombs || player.bombs <= 0) return false;
-  const pos = player.position;
-  const ahead = pos + 1 < chips.length && chips[pos + 1] && chips[pos + 1].monster;
-  const behind = pos - 1 >= 0 && chips[pos - 1] && chips[pos - 1].monster;
-  return ahead || behind;
+const broadcastState = (room, event = {}) => {
+  room.lastActivity = Date.now(); // AI and timeout moves keep a room alive too
+  startTurnClock(room);
+  const cache = { views: new Map(), patches: new Map() };
+  for (const ws of room.clients.keys()) send(ws, stateMessage(room, ws, { event, cache }));
 };
 
-const canPickUpCoop = (player, chips) => {
-  if (player.position < 0) return false;
-  const chip = chips[player.position];
-  if (!chip) return false;
-  if (chip.monster) return false;
-  return true;
+const broadcastLobby = (room) => {
+  const names = room.names;
+  const watchers = watcherNames(room);
+  const hostName = room.clients.get(room.host)?.name ?? null;
+  for (const [ws, info] of room.clients) {
+    send(ws, { type: 'lobby', code: room.code, names, watchers, you: info.name, host: ws === room.host, hostName, locked: room.locked, spectator: !!info.spectator, coop: room.coop || false, mission: room.mission || null, variant: room.variant, turnSeconds: room.turnSeconds });
+  }
 };
 
-const getMonsterPositions = (chips) => {
-  const s = new Set();
-  for (let i = 0; i < chips.length; i++) {
-    if (chips[i] && chips[i].monster) s.add(i);
+/**
+ * The host left: the first connected player in seat order from `fromSeat`
+ * (wrapping around) becomes host. With nobody connected the room has no host
+ * until a player resumes their seat.
+ */
+const promoteHost = (room, fromSeat) => {
+  const seatOf = (info) => (room.names.indexOf(info.name) - fromSeat + room.names.length) % room.names.length;
+  const [next] = [...room.clients]
+    .filter(([, info]) => !info.spectator)
+    .sort(([, a], [, b]) => seatOf(a) - seatOf(b));
+  room.host = next ? next[0] : null;
+  if (!next) return;
+  for (const [ws] of room.clients) send(ws, { type: 'host-changed', name: next[1].name });
+  console.log(`${next[1].name} is now the host of room ${room.code}`);
+};
+
+/** Seat every player, connected or away, at their place in the (final) lobby order. */
+const assignSeats = (room) => {
+  for (const info of room.clients.values()) {
+    if (!info.spectator) info.playerId = room.names.indexOf(info.name);
   }
-  return s;
+  for (const [name, seat] of room.away) seat.playerId = room.names.indexOf(name);
 };
 
-const adjacentTargets = (player, players) => {
-  if (player.position < 0) return [];
-  return players.filter(
-    p => p.id !== player.id && !p.dead && p.position >= 0 && Math.abs(p.position - player.position) === 1
-  );
+/** Lobby commands only the host may send, before the game starts. Returns the room, or null after replying with an error. */
+const hostLobbyRoom = (ws, action) => {
+  const room = roomForWs(ws);
+  if (!room) return null;
+  if (ws !== room.host) { sendError(ws, 'HOST_ONLY', `Only the host can ${action}.`); return null; }
+  if (room.started) { sendError(ws, 'GAME_STARTED'); return null; }
+  return room;
 };
 
-const resolveTridentRoll = () => {
-  const roll = Math.ceil(Math.random() * 6);
-  if (roll >= 5) return { roll, result: 'kill' };
-  if (roll === 1) return { roll, result: 'backfire' };
-  return { roll, result: 'miss' };
+/** Tell everyone in a running game who is watching. */
+const broadcastWatchers = (room) => {
+  const names = watcherNames(room);
+  for (const [ws] of room.clients) send(ws, { type: 'watchers', names });
 };
 
-const isRoundOver = (oxygen, players, coop = false) => {
-  if (oxygen <= 0) return true;
-  if (coop) return false; // co-op requires manual end-round confirmation
-  return players.filter(p => !p.dead).every(p => p.position === -1);
+/**
+ * Create a fresh game state for the room's players and mode. The seed is
+ * always the server's own, and 128 bits wide: a player who picked or guessed
+ * it could work out every face-down chip and every future roll.
+ */
+const startRoomGame = (room) => {
+  const coop = !!(room.coop && room.mission);
+  const rules = { ...RULE_PRESETS[room.variant].rules, ...(HIDE_CARRIED && { hideCarried: true }) };
+  room.state = newGame(room.names, { coop, mission: room.mission, seed: randomWideSeed(), rules });
 };
 
-const allPlayersOnSub = (players) => {
-  return players.filter(p => !p.dead).every(p => p.position === -1);
+/**
+ * If the current seat is an AI, search its move without blocking the event
+ * loop, then apply and broadcast it. Runs again after every broadcast; the
+ * move is dropped if the game moved on (restart) while the AI was thinking.
+ */
+const runAiTurn = async (room) => {
+  const state = room.state;
+  if (room.aiBusy || !state || state.gameOver) return;
+  const playerId = state.currentPlayerIndex;
+  const name = state.players[playerId].name;
+  const level = room.aiSeats[name];
+  if (!level) return;
+
+  // Still this AI's move? (a restart or a returning player may have intervened)
+  const stillOn = () => room.state === state && room.aiSeats[name] === level;
+
+  room.aiBusy = true;
+  await new Promise((resolve) => setTimeout(resolve, BOT_TURN_DELAY_MS));
+  const action = stillOn()
+    ? await searchActionAsync(state, playerId, { level, rng: room.aiRng })
+    : null;
+  room.aiBusy = false;
+  if (!rooms.has(room.code)) return;
+  if (!stillOn()) { runAiTurn(room); return; }
+  if (!action) return;
+
+  const result = applyAction(state, action);
+  if (result.error) { console.log(`AI move rejected in room ${room.code}: ${result.error.code}`); return; }
+  room.state = result.state;
+  broadcastState(room, result.event);
+  runAiTurn(room);
+};
+
+/* ── turn clock ───────────────────────────────────────────── */
+
+/** The running clock as sent to clients: whose it is and the time left (ms), or null. */
+const clockInfo = (room) => {
+  const clock = room.turnClock;
+  if (!clock) return null;
+  return { playerId: clock.playerId, remainingMs: Math.max(0, clock.deadline - Date.now()), totalMs: clock.totalMs };
 };
 
-/* ═══════════════════════════════════════════════════════════
-   Turn engine (mirror of src/domain/turnEngine.js)
-   ═══════════════════════════════════════════════════════════ */
-
-const addLog = (state, msg) => { state.log.push(msg); };
-
-const rollDie = () => Math.floor(Math.random() * 3) + 1;
-const rollDice = () => { const d1 = rollDie(), d2 = rollDie(); return { die1: d1, die2: d2, total: d1 + d2 }; };
-
-const playerScore = (player) => player.scored.reduce((sum, c) => sum + c.value, 0);
-
-const determineWinner = (state) => {
-  let best = -1, winnerName = '';
-  for (const p of state.players) {
-    const s = playerScore(p);
-    if (s > best) { best = s; winnerName = p.name; }
-  }
-  state.winner = winnerName;
+/**
+ * (Re)start the clock for the phase the game is now in. Every move restarts
+ * it; AI seats and finished games have no clock.
+ */
+const startTurnClock = (room) => {
+  clearTimeout(room.turnClock?.timer);
+  room.turnClock = null;
+  const state = room.state;
+  if (!room.turnSeconds || !state || state.gameOver) return;
+  const playerId = state.currentPlayerIndex;
+  if (room.aiSeats[state.players[playerId].name]) return;
+
+  const totalMs = room.turnSeconds * 1000;
+  const timer = setTimeout(() => turnTimedOut(room, state), totalMs);
+  room.turnClock = { timer, playerId, deadline: Date.now() + totalMs, totalMs };
+};
+
+/** Restart the clock outside a state broadcast (a seat changed hands) and tell everyone. */
+const restartTurnClock = (room) => {
+  startTurnClock(room);
+  const clock = clockInfo(room);
+  for (const [ws] of room.clients) send(ws, { type: 'clock', clock });
+};
+
+/** The clock ran out: make the default move for the current player. */
+const turnTimedOut = (room, state) => {
+  room.turnClock = null;
+  if (!rooms.has(room.code) || room.state !== state) return;
+  const action = timeoutAction(state);
+  const result = action && applyAction(state, action);
+  if (!result || result.error) { console.log(`Timeout move rejected in room ${room.code}: ${result?.error.code}`); return; }
+  room.state = result.state;
+  broadcastState(room, result.event);
+  runAiTurn(room);
+  console.log(`${state.players[action.playerId].name} ran out of time in room ${room.code}`);
 };
 
-const killPlayer = (state, player) => {
-  if (player.carried.length > 0) addLog(state, `  ${player.name} loses ${player.carried.length} carried chip(s) to the deep.`);
-  player.carried = [];
-  player.dead = true;
-  player.position = -99;
-};
+const removeClient = (ws) => {
+  for (const [code, room] of rooms) {
+    if (!room.clients.has(ws)) continue;
+    const info = room.clients.get(ws);
+    room.clients.delete(ws);
 
-const advancePlayer = (state) => {
-  const n = state.players.length;
-  let attempts = 0, next = state.currentPlayerIndex;
-  while (attempts < n) {
-    next = (next + 1) % n;
-    attempts++;
-    if (state.players[next].dead) {
-      addLog(state, `${state.players[next].name} is dead — turn skipped. ☠️`);
-      continue;
+    if (playerCount(room) === 0 && !room.started) {
+      closeRoom(room, 'every player left');
+    } else if (info.spectator) {
+      room.watcherTokens.set(info.token, info.name);
+      if (room.started) broadcastWatchers(room);
+      else broadcastLobby(room);
+      console.log(`${info.name} stopped watching room ${code}`);
+    } else if (!room.started) {
+      // Remove name from lobby
+      const seat = room.names.indexOf(info.name);
+      room.names = room.names.filter(n => n !== info.name);
+      if (ws === room.host) promoteHost(room, seat);
+      broadcastLobby(room);
+      console.log(`${info.name} left lobby ${code}`);
+    } else {
+      // Mid-game disconnect: hold the seat for a while, then let an AI play it
+      if (ws === room.host) promoteHost(room, info.playerId + 1);
+      const seat = { playerId: info.playerId, token: info.token, replaced: false, timer: null };
+      seat.timer = setTimeout(() => takeOverSeat(room, info.name), DISCONNECT_GRACE_MS);
+      room.away.set(info.name, seat);
+      for (const [ws2] of room.clients) {
+        send(ws2, { type: 'player-disconnected', name: info.name, graceMs: DISCONNECT_GRACE_MS });
+      }
+      console.log(`${info.name} disconnected from game ${code}`);
+      // AI players alone don't keep a room alive, but give everyone a chance to come back
+      if (playerCount(room) === 0) room.closeTimer = setTimeout(() => closeRoom(room, 'every player left'), DISCONNECT_GRACE_MS);
     }
     break;
   }
-  state.currentPlayerIndex = next;
 };
 
-const endRound = (state) => {
-  addLog(state, `--- Round ${state.round} is over! ---`);
-  for (const p of state.players) {
-    if (p.position >= 0) {
-      if (p.carried.length > 0) addLog(state, `${p.name} was underwater — loses ${p.carried.length} chip(s)!`);
-      p.carried = [];
-    }
-    p.position = -1; p.direction = 'down'; p.dead = false;
-    p.depthCharges = DEPTH_CHARGES_PER_ROUND; p.anchorActive = false;
-  }
-  const remainingChips = state.chips.filter(c => c !== null);
-  state.chips = remainingChips.map((c, i) => ({ ...c, id: i }));
-  state.boardSize = state.chips.length;
-
-  // Co-op win/lose checks
-  if (state.coop) {
-    if (state.mission === 'treasure') {
-      if (state.coopScore >= state.coopTarget) {
-        state.gameOver = true; state.coopWin = true; state.turnPhase = 'gameOver';
-        addLog(state, `🎉 MISSION COMPLETE! Team scored ${state.coopScore} / ${state.coopTarget} points!`);
-        return state;
-      }
-    } else if (state.mission === 'monsters') {
-      const monstersLeft = state.chips.filter(c => c && c.monster).length;
-      state.monstersRemaining = monstersLeft;
-      const allHome = state.players.every(p => p.position === -1);
-      if (monstersLeft === 0 && allHome) {
-        state.gameOver = true; state.coopWin = true; state.turnPhase = 'gameOver';
-        addLog(state, `🎉 MISSION COMPLETE! All monsters destroyed and everyone is safe!`);
-        return state;
-      }
-    }
+/** Delete a room, telling anyone still connected (spectators, idle players) why. */
+const closeRoom = (room, reason) => {
+  for (const { timer } of room.away.values()) clearTimeout(timer);
+  clearTimeout(room.turnClock?.timer);
+  clearTimeout(room.closeTimer);
+  rooms.delete(room.code);
+  for (const [ws] of room.clients) {
+    send(ws, { type: 'room-closed', message: `Room closed: ${reason}.` });
+    ws.close();
   }
+  console.log(`Room ${room.code} closed (${reason})`);
+};
 
-  if (state.round >= state.maxRounds) {
-    state.gameOver = true; state.turnPhase = 'gameOver';
-    if (state.coop) {
-      state.coopLose = true;
-      if (state.mission === 'treasure') {
-        addLog(state, `💀 Mission failed! Team scored ${state.coopScore} / ${state.coopTarget} points.`);
-      } else {
-        const monstersLeft = state.chips.filter(c => c && c.monster).length;
-        addLog(state, `💀 Mission failed! ${monstersLeft} monster(s) remain.`);
-      }
-    } else {
-      determineWinner(state);
-      addLog(state, `🏆 Game over! Winner: ${state.winner}!`);
+/** "45 seconds", "12 minutes" — for notices about idle rooms. */
+const duration = (ms) => (ms < 120000 ? `${Math.round(ms / 1000)} seconds` : `${Math.round(ms / 60000)} minutes`);
+
+/** Close lobbies and finished games that have sat idle too long. */
+const reapIdleRooms = () => {
+  const now = Date.now();
+  for (const room of [...rooms.values()]) {
+    const idle = now - room.lastActivity;
+    if (!room.started && idle > LOBBY_IDLE_MS) {
+      closeRoom(room, `the lobby was idle for ${duration(idle)}`);
+    } else if (room.state?.gameOver && idle > FINISHED_IDLE_MS) {
+      closeRoom(room, `the game ended ${duration(idle)} ago`);
     }
-    return state;
   }
-  state.round += 1; state.oxygen = STARTING_OXYGEN;
-  state.currentPlayerIndex = (state.round - 1) % state.players.length;
-  state.turnPhase = 'direction';
-  state.diceResult = null;
-  const starter = state.players[state.currentPlayerIndex].name;
-  addLog(state, `=== Round ${state.round} begins. ${starter} goes first. Oxygen: ${state.oxygen} ===`);
-  return state;
-};
-
-const endTurn = (state) => {
-  if (isRoundOver(state.oxygen, state.players, !!state.coop)) return endRound(state);
-  advancePlayer(state);
-  state.turnPhase = 'direction';
-  return state;
 };
 
 /* ═══════════════════════════════════════════════════════════
-   Action handlers — each validates & mutates state, returns
-   an event object for client-side animation.
+   Abuse limits
    ═══════════════════════════════════════════════════════════ */
 
-const handleChooseDirection = (state, { direction }) => {
-  if (state.turnPhase !== 'direction') return null;
-  const player = state.players[state.currentPlayerIndex];
-  if (player.position === -1) direction = 'down';
-
-  // Set direction
-  player.direction = direction;
-  state.turnPhase = 'roll';
-  addLog(state, `${player.name} chooses to go ${player.direction}.`);
-
-  // Consume oxygen
-  if (!isOnSubmarine(player)) {
-    state.oxygen = consumeOxygen(state.oxygen, player);
-    if (player.carried.length > 0) {
-      addLog(state, `${player.name} uses ${player.carried.length} oxygen. Oxygen → ${state.oxygen}`);
-    }
-  }
+/** Open connections per client address. */
+const connectionsByIp = new Map();
 
-  const event = {};
-
-  if (state.oxygen <= 0) {
-    const drowned = state.players.filter(p => p.position >= 0 && !p.dead).map(p => p.name);
-    state.turnPhase = 'endTurn';
-    endTurn(state);
-    if (state.gameOver) {
-      if (state.coopWin) event.lastEvent = { type: 'coopWin', player: 'Team', detail: 'Mission complete! 🎉' };
-      else if (state.coopLose) event.lastEvent = { type: 'coopLose', player: 'Team', detail: 'Mission failed… 💀' };
-      else event.lastEvent = { type: 'gameOver', player: state.winner };
-    } else if (drowned.length > 0) {
-      event.lastEvent = { type: 'drown', player: drowned.join(', '), detail: 'Oxygen depleted!' };
-    } else {
-      event.lastEvent = { type: 'roundEnd', detail: `Round ${state.round} begins` };
-    }
-    event.oxygenDepleted = true;
-  } else if (state.oxygen <= 5) {
-    event.oxygenLow = true;
-  }
-
-  // Auto-roll dice immediately after choosing direction
-  if (state.turnPhase === 'roll') {
-    const rollEvent = handleRoll(state);
-    if (rollEvent) Object.assign(event, rollEvent);
-  }
-
-  return event;
-};
-
-const canBuyAnchorCoop = (player, coopScore) => {
-  if (player.position !== -1 || player.anchorActive) return false;
-  return coopScore >= ANCHOR_COST;
+/**
+ * The client's address: the socket's peer, or behind trusted proxies the
+ * X-Forwarded-For entry the outermost one appended. Entries further left come
+ * from the client and can be forged.
+ */
+const clientIp = (req) => {
+  const forwarded = TRUST_PROXY > 0 && req.headers['x-forwarded-for'];
+  if (!forwarded) return req.socket.remoteAddress;
+  const hops = forwarded.split(',').map((hop) => hop.trim());
+  return hops[Math.max(0, hops.length - TRUST_PROXY)];
 };
 
-const handleBuyAnchor = (state) => {
-  if (state.turnPhase !== 'direction') return null;
-  const player = state.players[state.currentPlayerIndex];
-
-  if (state.coop) {
-    // Co-op: spend from shared pool
-    if (!canBuyAnchorCoop(player, state.coopScore)) return null;
-    state.coopScore -= ANCHOR_COST;
-    player.anchorActive = true;
-    addLog(state, `⚓ ${player.name} purchases an Anchor Boost! (spent ${ANCHOR_COST} pts from team pool, pool → ${state.coopScore})`);
-  } else {
-    // Versus: spend from individual scored chips
-    if (!canBuyAnchor(player)) return null;
-    let remaining = ANCHOR_COST;
-    player.scored.sort((a, b) => a.value - b.value);
-    while (remaining > 0 && player.scored.length > 0) {
-      const chip = player.scored[0];
-      if (chip.value <= remaining) { remaining -= chip.value; player.scored.shift(); }
-      else { chip.value -= remaining; remaining = 0; }
-    }
-    player.anchorActive = true;
-    addLog(state, `⚓ ${player.name} purchases an Anchor Boost! (spent ${ANCHOR_COST} value)`);
-  }
-  return { lastAnchor: { player: player.name } };
+/**
+ * Token bucket per connection: up to RATE_LIMIT_BURST messages at once,
+ * refilled at RATE_LIMIT_PER_SEC. Returns false when the message is over the limit.
+ */
+const withinRateLimit = (ws) => {
+  const now = Date.now();
+  ws.tokens = Math.min(RATE_LIMIT_BURST, ws.tokens + ((now - ws.refilledAt) / 1000) * RATE_LIMIT_PER_SEC);
+  ws.refilledAt = now;
+  if (ws.tokens < 1) return false;
+  ws.tokens -= 1;
+  return true;
 };
 
-const handleRoll = (state) => {
-  if (state.turnPhase !== 'roll') return null;
-  const { total } = rollDice();
-  const player = state.players[state.currentPlayerIndex];
-  const occupied = occupiedBy(state.players, player.id);
-
-  let adjustedTotal = total;
-  if (player.anchorActive) {
-    adjustedTotal = total * ANCHOR_MULTIPLIER;
-    player.anchorActive = false;
-  }
-  const effectiveSteps = Math.max(1, adjustedTotal - player.carried.length);
-  const monsters = (state.coop && state.mission === 'monsters') ? getMonsterPositions(state.chips) : null;
-  const dest = computeDestination(player.position, effectiveSteps, player.direction, occupied, state.boardSize, monsters);
-  player.position = dest;
-
-  state.diceResult = total;
-  state.anchorUsedThisRoll = adjustedTotal !== total;
-
-  const event = { diceTotal: total };
-
-  if (dest === -1) {
-    const scoredCount = player.carried.length;
-    if (state.coop) {
-      const value = player.carried.reduce((s, c) => s + c.value, 0);
-      state.coopScore += value;
-      player.carried = [];
-    } else {
-      player.scored.push(...player.carried);
-      player.carried = [];
-    }
-    const anchorTag = adjustedTotal !== total ? ` ⚓×${ANCHOR_MULTIPLIER}→${adjustedTotal}` : '';
-    addLog(state, `${player.name} rolled ${total}${anchorTag} (moves ${effectiveSteps}) and returned to the submarine! 🚢`);
-    state.turnPhase = 'endTurn';
-    endTurn(state);
-    event.lastEvent = { type: 'returnSub', player: player.name, detail: `Secured ${scoredCount} chip(s)!` };
-    if (state.gameOver) {
-      if (state.coopWin) event.lastEvent = { type: 'coopWin', player: 'Team', detail: 'Mission complete! 🎉' };
-      else if (state.coopLose) event.lastEvent = { type: 'coopLose', player: 'Team', detail: 'Mission failed… 💀' };
-      else event.lastEvent = { type: 'gameOver', player: state.winner };
-    }
-    event.returnedToSub = true;
-  } else {
-    const anchorTag = adjustedTotal !== total ? ` ⚓×${ANCHOR_MULTIPLIER}→${adjustedTotal}` : '';
-    addLog(state, `${player.name} rolled ${total}${anchorTag} (moves ${effectiveSteps}), lands on space ${dest}.`);
-    state.turnPhase = 'pickup';
+/**
+ * Ping every connection; one that hasn't answered the previous ping is dead
+ * (the browser slept or the network vanished without a close), so drop it
+ * and let the usual disconnect handling take over.
+ */
+const heartbeat = () => {
+  for (const ws of wss.clients) {
+    if (!ws.isAlive) { ws.terminate(); continue; }
+    ws.isAlive = false;
+    ws.ping();
   }
-
-  return event;
 };
 
-const handlePickUp = (state) => {
-  if (state.turnPhase !== 'pickup') return null;
-  const player = state.players[state.currentPlayerIndex];
-  const pickCheck = state.coop ? canPickUpCoop(player, state.chips) : canPickUp(player, state.chips);
-  if (!pickCheck) return null;
-  const chip = state.chips[player.position];
-  const chipLevel = chip.level, chipValue = chip.value;
-  chip.discovered = true;
-  player.carried.push(chip);
-  state.chips[player.position] = null;
-  addLog(state, `${player.name} picks up a level-${chip.level} chip from space ${player.position}.`);
-  state.turnPhase = 'endTurn';
-  const event = { lastEvent: { type: 'pickup', player: player.name, detail: `Level ${chipLevel} chip (value: ${chipValue})` } };
-  endTurn(state);
-  if (state.gameOver) {
-    if (state.coopWin) event.lastEvent = { type: 'coopWin', player: 'Team', detail: 'Mission complete! 🎉' };
-    else if (state.coopLose) event.lastEvent = { type: 'coopLose', player: 'Team', detail: 'Mission failed… 💀' };
-    else event.lastEvent = { type: 'gameOver', player: state.winner };
-  }
-  return event;
+/** Grace period over: an AI plays the absent player's seat until they rejoin. */
+const takeOverSeat = (room, name) => {
+  const seat = room.away.get(name);
+  if (!seat || !rooms.has(room.code) || playerCount(room) === 0) return;
+  seat.replaced = true;
+  room.aiSeats[name] = STAND_IN_LEVEL;
+  for (const [ws] of room.clients) send(ws, { type: 'player-replaced', name });
+  if (room.turnClock?.playerId === seat.playerId) restartTurnClock(room); // the AI needs no clock
+  console.log(`AI took over ${name}'s seat in room ${room.code}`);
+  runAiTurn(room);
 };
 
-const handleDrop = (state) => {
-  if (state.turnPhase !== 'pickup') return null;
-  const player = state.players[state.currentPlayerIndex];
-  if (!canDrop(player, state.chips)) return null;
-  const chip = player.carried.pop();
-  state.chips[player.position] = chip;
-  addLog(state, `${player.name} drops a level-${chip.level} chip on space ${player.position}.`);
-  state.turnPhase = 'endTurn';
-  const event = { lastEvent: { type: 'drop', player: player.name } };
-  endTurn(state);
-  if (state.gameOver) {
-    if (state.coopWin) event.lastEvent = { type: 'coopWin', player: 'Team', detail: 'Mission complete! 🎉' };
-    else if (state.coopLose) event.lastEvent = { type: 'coopLose', player: 'Team', detail: 'Mission failed… 💀' };
-    else event.lastEvent = { type: 'gameOver', player: state.winner };
+/**
+ * Give the seat holding `token` to a reconnecting socket, whether the server
+ * already noticed the old connection drop (room.away) or not (a stale socket
+ * still in room.clients). Returns false if the token matches no seat.
+ */
+const resumeSeat = (room, ws, token) => {
+  let info = null;
+  let wasHost = false;
+  const stale = [...room.clients].find(([, i]) => i.token === token);
+  const awayName = [...room.away].find(([, seat]) => seat.token === token)?.[0];
+
+  if (stale) {
+    const [oldWs] = stale;
+    info = stale[1];
+    wasHost = oldWs === room.host;
+    room.clients.delete(oldWs);
+    oldWs.terminate();
+  } else if (awayName) {
+    const seat = room.away.get(awayName);
+    clearTimeout(seat.timer);
+    room.away.delete(awayName);
+    if (seat.replaced) delete room.aiSeats[awayName];
+    info = { name: awayName, playerId: seat.playerId, token };
+    wasHost = !room.host; // everyone had dropped: the first player back hosts
+  } else if (room.watcherTokens.has(token)) {
+    info = { name: room.watcherTokens.get(token), playerId: null, token, spectator: true };
+    room.watcherTokens.delete(token);
+  } else {
+    return false;
   }
-  return event;
-};
 
-const handleSkip = (state) => {
-  if (state.turnPhase !== 'pickup') return null;
-  state.turnPhase = 'endTurn';
-  endTurn(state);
-  const event = { lastSkip: true };
-  if (state.gameOver) {
-    if (state.coopWin) event.lastEvent = { type: 'coopWin', player: 'Team', detail: 'Mission complete! 🎉' };
-    else if (state.coopLose) event.lastEvent = { type: 'coopLose', player: 'Team', detail: 'Mission failed… 💀' };
-    else event.lastEvent = { type: 'gameOver', player: state.winner };
+  if (!info.spectator) {
+    clearTimeout(room.closeTimer);
+    room.closeTimer = null;
   }
-  return event;
-};
-
-const handleTrident = (state, { targetId }) => {
-  if (state.turnPhase !== 'pickup') return null;
-  const attacker = state.players[state.currentPlayerIndex];
-  const target = state.players.find(p => p.id === targetId);
-  if (!target || target.dead || target.position < 0) return null;
-
-  const { roll, result } = resolveTridentRoll();
-  const event = {};
-
-  if (result === 'kill') {
-    addLog(state, `🔱 ${attacker.name} attacks ${target.name}! Rolled ${roll} — ${target.name} is slain! ☠️`);
-    killPlayer(state, target);
-    event.lastKill = { victim: target.name, killer: attacker.name };
-  } else if (result === 'backfire') {
-    addLog(state, `🔱 ${attacker.name} attacks ${target.name}! Rolled ${roll} — backfire! ${attacker.name} dies! ☠️`);
-    killPlayer(state, attacker);
-    event.lastKill = { victim: attacker.name, killer: target.name, backfire: true };
+  if (wasHost) room.host = ws;
+  room.clients.set(ws, info);
+  send(ws, { type: 'session', code: room.code, token });
+  if (!room.started) {
+    broadcastLobby(room);
+  } else if (info.spectator) {
+    sendFullState(room, ws);
+    broadcastWatchers(room);
   } else {
-    addLog(state, `🔱 ${attacker.name} attacks ${target.name}! Rolled ${roll} — miss!`);
-    event.tridentMiss = true;
-  }
-
-  state.turnPhase = 'endTurn';
-  endTurn(state);
-  if (state.gameOver) {
-    if (state.coopWin) event.lastEvent = { type: 'coopWin', player: 'Team', detail: 'Mission complete! 🎉' };
-    else if (state.coopLose) event.lastEvent = { type: 'coopLose', player: 'Team', detail: 'Mission failed… 💀' };
-    else event.lastEvent = { type: 'gameOver', player: state.winner };
+    for (const [ws2] of room.clients) {
+      if (ws2 !== ws) send(ws2, { type: 'player-returned', name: info.name });
+    }
+    // A stand-in AI (or a restart) left the turn without a clock; an AI's turn resumes after a restart
+    if (!room.turnClock) restartTurnClock(room);
+    sendFullState(room, ws);
+    runAiTurn(room);
   }
-  return event;
+  console.log(`${info.name} reconnected to room ${room.code}`);
+  return true;
 };
 
-const handleDepthCharge = (state) => {
-  if (state.turnPhase !== 'pickup') return null;
-  const player = state.players[state.currentPlayerIndex];
-  if (!canDepthCharge(player, state.chips, state.oxygen)) return null;
-  const chip = state.chips[player.position];
-  const chipLevel = chip.level, chipValue = chip.value;
-  state.chips[player.position] = null;
-  player.depthCharges -= 1;
-  state.oxygen = Math.max(0, state.oxygen - DEPTH_CHARGE_OXYGEN_COST);
-  addLog(state, `💣 ${player.name} detonates a Depth Charge! Destroys level-${chipLevel} chip (value: ${chipValue}). Oxygen -${DEPTH_CHARGE_OXYGEN_COST} → ${state.oxygen}`);
-  state.turnPhase = 'endTurn';
-  const event = { lastExplosion: { player: player.name, detail: `Level ${chipLevel} chip (value: ${chipValue}) destroyed!` } };
-  endTurn(state);
-  if (state.gameOver) {
-    if (state.coopWin) event.lastEvent = { type: 'coopWin', player: 'Team', detail: 'Mission complete! 🎉' };
-    else if (state.coopLose) event.lastEvent = { type: 'coopLose', player: 'Team', detail: 'Mission failed… 💀' };
-    else event.lastEvent = { type: 'gameOver', player: state.winner };
-  }
-  return event;
-};
+/* ═══════════════════════════════════════════════════════════
+   Room snapshots (survive a restart)
+   ═══════════════════════════════════════════════════════════ */
 
-const handleBuyBomb = (state) => {
-  if (!state.coop || state.turnPhase !== 'direction') return null;
-  const player = state.players[state.currentPlayerIndex];
-  if (!canBuyBomb(player, state.coopScore)) return null;
-  state.coopScore -= COOP_BOMB_COST;
-  player.bombs = (player.bombs || 0) + 1;
-  addLog(state, `💣 ${player.name} buys a bomb! (cost: ${COOP_BOMB_COST} pts from team pool, pool → ${state.coopScore})`);
-  return { lastEvent: { type: 'bomb-buy', player: player.name, detail: `Bought a bomb! (${player.bombs} total)` } };
-};
+let lastSnapshot = null; // JSON of the rooms last written, to skip unchanged saves
 
-const handleUseBomb = (state) => {
-  if (!state.coop || state.turnPhase !== 'pickup') return null;
-  const player = state.players[state.currentPlayerIndex];
-  if (!canUseBomb(player, state.chips)) return null;
-  const pos = player.position;
-  let targetPos = -1;
-  if (pos + 1 < state.boardSize && state.chips[pos + 1] && state.chips[pos + 1].monster) {
-    targetPos = pos + 1;
-  } else if (pos - 1 >= 0 && state.chips[pos - 1] && state.chips[pos - 1].monster) {
-    targetPos = pos - 1;
-  }
-  if (targetPos === -1) return null;
-  state.chips[targetPos] = null;
-  player.bombs -= 1;
-  state.monstersRemaining = state.chips.filter(c => c && c.monster).length;
-  addLog(state, `💥 ${player.name} bombs the sea monster on space ${targetPos}! 🐙💀 (${state.monstersRemaining} remaining)`);
-  state.turnPhase = 'endTurn';
-  const event = { lastExplosion: { player: player.name, detail: `Sea monster destroyed! (${state.monstersRemaining} remaining)` } };
-  endTurn(state);
-  if (state.gameOver) {
-    if (state.coopWin) event.lastEvent = { type: 'coopWin', player: 'Team', detail: 'Mission complete! 🎉' };
-    else if (state.coopLose) event.lastEvent = { type: 'coopLose', player: 'Team', detail: 'Mission failed… 💀' };
+/**
+ * Everything needed to bring a room back: no sockets or timers. Every player
+ * (connected or away) is kept with their reconnect token, every spectator
+ * with theirs.
+ */
+const roomSnapshot = (room) => {
+  const seats = [];
+  for (const info of room.clients.values()) {
+    if (!info.spectator) seats.push({ name: info.name, playerId: info.playerId, token: info.token, replaced: false });
   }
-  return event;
-};
-
-const handleSkipSubTurn = (state) => {
-  if (state.turnPhase !== 'direction') return null;
-  const player = state.players[state.currentPlayerIndex];
-  if (player.position !== -1) return null;
-  // Can't skip if everyone is still on the sub (first turn)
-  const alive = state.players.filter(p => !p.dead);
-  if (alive.every(p => p.position === -1)) return null;
-  addLog(state, `${player.name} stays on the submarine. ⏭️`);
-  state.turnPhase = 'endTurn';
-  endTurn(state);
-  const event = { lastSkip: true };
-  if (state.gameOver) {
-    if (state.coopWin) event.lastEvent = { type: 'coopWin', player: 'Team', detail: 'Mission complete! 🎉' };
-    else if (state.coopLose) event.lastEvent = { type: 'coopLose', player: 'Team', detail: 'Mission failed… 💀' };
-    else event.lastEvent = { type: 'gameOver', player: state.winner };
+  for (const [name, seat] of room.away) seats.push({ name, playerId: seat.playerId, token: seat.token, replaced: seat.replaced });
+  const watcherTokens = [...room.watcherTokens];
+  for (const info of room.clients.values()) {
+    if (info.spectator) watcherTokens.push([info.token, info.name]);
   }
-  return event;
+  const { code, names, state, started, locked, coop, mission, variant, aiSeats, aiRng, turnSeconds } = room;
+  return { code, names, state, started, locked, coop, mission, variant, aiSeats, aiRng, turnSeconds, seats, watcherTokens };
 };
 
-const handleEndRoundEarly = (state) => {
-  if (!state.coop || state.turnPhase !== 'direction') return null;
-  if (!allPlayersOnSub(state.players)) return null;
-  addLog(state, `🚢 Team agrees to end the round early!`);
-  endRound(state);
-  const event = {};
-  if (state.gameOver) {
-    if (state.coopWin) event.lastEvent = { type: 'coopWin', player: 'Team', detail: 'Mission complete! 🎉' };
-    else if (state.coopLose) event.lastEvent = { type: 'coopLose', player: 'Team', detail: 'Mission failed… 💀' };
-  } else {
-    event.lastEvent = { type: 'roundEnd', detail: `Round ${state.round} begins` };
+/** Write every room to SNAPSHOT_FILE if anything changed (write + rename, so a crash never leaves half a file). */
+const saveRooms = () => {
+  const json = JSON.stringify([...rooms.values()].map(roomSnapshot));
+  if (json === lastSnapshot) return;
+  try {
+    mkdirSync(DATA_DIR, { recursive: true });
+    writeFileSync(`${SNAPSHOT_FILE}.tmp`, `{"version":${SNAPSHOT_VERSION},"rooms":${json}}`);
+    renameSync(`${SNAPSHOT_FILE}.tmp`, SNAPSHOT_FILE);
+    lastSnapshot = json;
+  } catch (err) {
+    console.log(`Could not save rooms: ${err.message}`);
   }
-  return event;
-};
-
-const ACTION_HANDLERS = {
-  'choose-direction': handleChooseDirection,
-  'buy-anchor':       handleBuyAnchor,
-  'roll':             handleRoll,
-  'pick-up':          handlePickUp,
-  'drop':             handleDrop,
-  'skip':             handleSkip,
-  'skip-sub-turn':    handleSkipSubTurn,
-  'end-round-early':  handleEndRoundEarly,
-  'trident':          handleTrident,
-  'depth-charge':     handleDepthCharge,
-  'buy-bomb':         handleBuyBomb,
-  'use-bomb':         handleUseBomb,
 };
 
-/* ═══════════════════════════════════════════════════════════
-   Room management
-   ═══════════════════════════════════════════════════════════ */
-
-/** @type {Map<string, Room>} */
-const rooms = new Map();
-
 /**
- * Room structure:
- * {
- *   code:    string,
- *   host:    WebSocket,
- *   clients: Map<WebSocket, { name, playerId }>,
- *   names:   string[],          // ordered player names
- *   state:   object | null,     // game state (null = lobby)
- *   started: boolean,
- * }
+ * Rebuild a room from its snapshot with every player away: each gets the
+ * usual grace period to resume their seat before an AI plays it (or, in a
+ * lobby, before they are dropped), and the room closes if nobody comes back.
  */
-
-const generateCode = () => {
-  const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no ambiguous I/O/0/1
-  let code = '';
-  for (let i = 0; i < 4; i++) code += chars[Math.floor(Math.random() * chars.length)];
-  return rooms.has(code) ? generateCode() : code;
+const restoreRoom = (snap) => {
+  const room = {
+    ...snap,
+    host: null, // the first player back hosts
+    clients: new Map(),
+    away: new Map(),
+    closeTimer: null,
+    watcherTokens: new Map(snap.watcherTokens),
+    aiBusy: false,
+    turnClock: null,
+  };
+  delete room.seats;
+  for (const { name, playerId, token, replaced } of snap.seats) {
+    const seat = { playerId, token, replaced, timer: null };
+    if (!replaced) seat.timer = setTimeout(() => (room.started ? takeOverSeat(room, name) : dropLobbySeat(room, name)), DISCONNECT_GRACE_MS);
+    room.away.set(name, seat);
+  }
+  room.closeTimer = setTimeout(() => closeRoom(room, 'nobody came back after the server restarted'), DISCONNECT_GRACE_MS);
+  room.lastActivity = Date.now();
+  rooms.set(room.code, room);
 };
 
-const send = (ws, msg) => {
-  if (ws.readyState === 1) ws.send(JSON.stringify(msg));
+/** A restored lobby player didn't come back in time: free their place. */
+const dropLobbySeat = (room, name) => {
+  if (!room.away.has(name) || !rooms.has(room.code)) return;
+  room.away.delete(name);
+  room.names = room.names.filter((n) => n !== name);
+  broadcastLobby(room);
 };
 
-const broadcastState = (room, event = {}) => {
-  for (const [ws, info] of room.clients) {
-    send(ws, {
-      type: 'state',
-      state: room.state,
-      playerId: info.playerId,
-      event,
-    });
+/** Load the rooms saved by the previous run, if any. */
+const restoreRooms = () => {
+  let snapshot;
+  try {
+    snapshot = JSON.parse(readFileSync(SNAPSHOT_FILE, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.log(`Could not read saved rooms: ${err.message}`);
+    return;
   }
+  if (snapshot.version !== SNAPSHOT_VERSION) { console.log('Ignoring saved rooms from another server version'); return; }
+  const saved = snapshot.rooms.filter((snap) => snap.seats.length > 0);
+  saved.forEach(restoreRoom);
+  lastSnapshot = JSON.stringify(saved);
+  if (saved.length > 0) console.log(`Restored ${saved.length} room(s): ${saved.map((snap) => snap.code).join(', ')}`);
 };
 
-const broadcastLobby = (room) => {
-  const names = room.names;
-  for (const [ws, info] of room.clients) {
-    send(ws, { type: 'lobby', code: room.code, names, you: info.name, coop: room.coop || false, mission: room.mission || null });
-  }
-};
-
-const removeClient = (ws) => {
-  for (const [code, room] of rooms) {
-    if (!room.clients.has(ws)) continue;
-    const info = room.clients.get(ws);
-    room.clients.delete(ws);
-
-    if (room.clients.size === 0) {
-      rooms.delete(code);
-      console.log(`Room ${code} deleted (empty)`);
-    } else if (!room.started) {
-      // Remove name from lobby
-      room.names = room.names.filter(n => n !== info.name);
-      broadcastLobby(room);
-      console.log(`${info.name} left lobby ${code}`);
-    } else {
-      // Mid-game disconnect: notify remaining players
-      for (const [ws2] of room.clients) {
-        send(ws2, { type: 'player-disconnected', name: info.name });
-      }
-      console.log(`${info.name} disconnected from game ${code}`);
-    }
-    break;
-  }
+/** Save the rooms one last time, then exit (start.sh stops the old server with SIGTERM). */
+const shutdown = (signal) => {
+  console.log(`${signal} received — saving rooms`);
+  saveRooms();
+  process.exit(0);
 };
 
 /* ═══════════════════════════════════════════════════════════
@@ -763,18 +636,67 @@ const httpServer = createServer(async (req, res) => {
    WebSocket server
    ═══════════════════════════════════════════════════════════ */
 
-const wss = new WebSocketServer({ server: httpServer });
+const wss = new WebSocketServer({ server: httpServer, maxPayload: MAX_MESSAGE_BYTES });
+
+wss.on('connection', (ws, req) => {
+  const ip = clientIp(req);
+  const connections = (connectionsByIp.get(ip) || 0) + 1;
+  if (connections > MAX_CONNECTIONS_PER_IP) {
+    sendError(ws, 'CONNECTION_LIMIT');
+    ws.close(1008);
+    return;
+  }
+  connectionsByIp.set(ip, connections);
+  ws.on('close', () => {
+    const left = connectionsByIp.get(ip) - 1;
+    if (left > 0) connectionsByIp.set(ip, left);
+    else connectionsByIp.delete(ip);
+  });
+
+  ws.tokens = RATE_LIMIT_BURST;
+  ws.refilledAt = Date.now();
+  ws.throttled = false; // told about the rate limit; stays quiet until a message gets through
+
+  ws.isAlive = true;
+  ws.on('pong', () => { ws.isAlive = true; });
+
+  ws.greeted = false; // set by a hello with our protocol version
 
-wss.on('connection', (ws) => {
   ws.on('message', (raw) => {
-    let msg;
-    try { msg = JSON.parse(raw); } catch { return; }
+    if (!withinRateLimit(ws)) {
+      if (!ws.throttled) sendError(ws, 'RATE_LIMITED');
+      ws.throttled = true;
+      return;
+    }
+    ws.throttled = false;
+    let data;
+    try { data = JSON.parse(raw); } catch { sendError(ws, 'BAD_JSON'); return; }
+    const { message: msg, error } = checkClientMessage(data);
+    if (error) { send(ws, { type: 'error', ...error }); return; }
+    if (!ws.greeted && msg.type !== 'hello') { sendError(ws, 'HELLO_REQUIRED'); return; }
+    const current = roomForWs(ws);
+    if (current) current.lastActivity = Date.now();
 
     switch (msg.type) {
+      /* ── version handshake ───────────────────────── */
+      case 'hello': {
+        if (msg.version !== PROTOCOL_VERSION) {
+          sendError(ws, 'VERSION_MISMATCH');
+          ws.close();
+          break;
+        }
+        ws.greeted = true;
+        send(ws, { type: 'welcome', version: PROTOCOL_VERSION });
+        break;
+      }
+
       /* ── create room ─────────────────────────────── */
       case 'create': {
-        const name = (msg.name || 'Host').slice(0, 12);
-        const code = generateCode();
+        const name = cleanName(msg.name);
+        if (!name) { sendError(ws, 'INVALID_NAME'); break; }
+        if (current) { sendError(ws, 'ALREADY_IN_ROOM'); break; }
+        const code = rooms.size < MAX_ROOMS ? generateCode() : null;
+        if (!code) { sendError(ws, 'SERVER_FULL'); break; }
         const room = {
           code,
           host: ws,
@@ -782,56 +704,167 @@ wss.on('connection', (ws) => {
           names: [name],
           state: null,
           started: false,
+          locked: false,
           coop: msg.coop || false,
           mission: msg.mission || null,
+          variant: msg.variant || 'standard',
+          aiSeats: {},
+          aiRng: createRng(),
+          aiBusy: false,
+          away: new Map(),
+          closeTimer: null,
+          watcherTokens: new Map(),
+          turnSeconds: msg.turnSeconds || 0,
+          turnClock: null,
+          lastActivity: Date.now(),
         };
-        room.clients.set(ws, { name, playerId: 0 });
+        const token = randomUUID();
+        room.clients.set(ws, { name, playerId: 0, token });
         rooms.set(code, room);
         send(ws, { type: 'created', code });
+        send(ws, { type: 'session', code, token });
         broadcastLobby(room);
-        console.log(`Room ${code} created by ${name}${room.coop ? ` (co-op: ${room.mission})` : ''}`);
+        console.log(`Room ${code} created by ${name}${room.coop ? ` (co-op: ${room.mission})` : ''} [${room.variant}]`);
         break;
       }
 
       /* ── join room ───────────────────────────────── */
       case 'join': {
-        const code = (msg.code || '').toUpperCase();
-        const name = (msg.name || 'Player').slice(0, 12);
+        const code = msg.code.toUpperCase();
+        const name = cleanName(msg.name);
         const room = rooms.get(code);
 
-        if (!room) { send(ws, { type: 'error', message: 'Room not found.' }); break; }
-        if (room.started) { send(ws, { type: 'error', message: 'Game already started.' }); break; }
-        if (room.names.length >= MAX_PLAYERS) { send(ws, { type: 'error', message: 'Room is full.' }); break; }
-        if (room.names.includes(name)) { send(ws, { type: 'error', message: 'Name already taken.' }); break; }
+        if (!name) { sendError(ws, 'INVALID_NAME'); break; }
+        if (current) { sendError(ws, 'ALREADY_IN_ROOM'); break; }
+        if (!room) { sendError(ws, 'ROOM_NOT_FOUND'); break; }
+        if (room.locked) { sendError(ws, 'ROOM_LOCKED'); break; }
+        if (room.names.includes(name) || watcherNames(room).includes(name)) { sendError(ws, 'NAME_TAKEN'); break; }
+
+        if (msg.spectator) {
+          // Watchers don't take a seat and may arrive at any time
+          const info = { name, playerId: null, token: randomUUID(), spectator: true };
+          room.clients.set(ws, info);
+          send(ws, { type: 'session', code, token: info.token });
+          if (room.started) {
+            sendFullState(room, ws);
+            broadcastWatchers(room);
+          } else {
+            broadcastLobby(room);
+          }
+          console.log(`${name} is watching room ${code}`);
+          break;
+        }
+
+        if (room.started) { sendError(ws, 'GAME_STARTED'); break; }
+        if (room.names.length >= MAX_PLAYERS) { sendError(ws, 'ROOM_FULL'); break; }
 
         const playerId = room.names.length;
+        const token = randomUUID();
         room.names.push(name);
-        room.clients.set(ws, { name, playerId });
+        room.clients.set(ws, { name, playerId, token });
+        send(ws, { type: 'session', code, token });
         broadcastLobby(room);
         console.log(`${name} joined room ${code}`);
         break;
       }
 
+      /* ── resume a seat after a dropped connection ── */
+      case 'resume': {
+        if (current) { sendError(ws, 'ALREADY_IN_ROOM'); break; }
+        const room = rooms.get(msg.code.toUpperCase());
+        if (!room || !resumeSeat(room, ws, msg.token)) {
+          send(ws, { type: 'resume-failed', message: 'Your seat in that game is no longer available.' });
+        }
+        break;
+      }
+
+      /* ── add AI player (host only, lobby) ────────── */
+      case 'add-ai': {
+        const room = hostLobbyRoom(ws, 'add AI players');
+        if (!room) break;
+        if (room.names.length >= MAX_PLAYERS) { sendError(ws, 'ROOM_FULL'); break; }
+
+        const label = `🤖 AI ${AI_LEVELS[msg.level].label}`;
+        let n = 1;
+        while (room.names.includes(`${label} ${n}`)) n++;
+        const name = `${label} ${n}`;
+        room.names.push(name);
+        room.aiSeats[name] = msg.level;
+        broadcastLobby(room);
+        console.log(`${name} added to room ${room.code}`);
+        break;
+      }
+
+      /* ── set the turn clock (host only, lobby) ──── */
+      case 'set-clock': {
+        const room = hostLobbyRoom(ws, 'set the turn clock');
+        if (!room) break;
+
+        room.turnSeconds = msg.seconds;
+        broadcastLobby(room);
+        console.log(`Turn clock in room ${room.code} set to ${msg.seconds || 'off'}${msg.seconds ? 's' : ''}`);
+        break;
+      }
+
+      /* ── kick a player or AI (host only, lobby) ──── */
+      case 'kick': {
+        const room = hostLobbyRoom(ws, 'remove players');
+        if (!room) break;
+        const name = msg.name;
+        const target = [...room.clients].find(([, info]) => info.name === name && !info.spectator)?.[0];
+        if (!room.names.includes(name)) { sendError(ws, 'NO_SUCH_PLAYER'); break; }
+        if (target === ws) { sendError(ws, 'CANNOT_KICK_SELF'); break; }
+
+        room.names = room.names.filter((n) => n !== name);
+        delete room.aiSeats[name];
+        if (target) {
+          // Their client drops the session, so it won't try to resume the seat
+          room.clients.delete(target);
+          send(target, { type: 'kicked', message: 'The host removed you from the room.' });
+        }
+        broadcastLobby(room);
+        console.log(`${name} was removed from room ${room.code}`);
+        break;
+      }
+
+      /* ── move a player to another seat (host only, lobby) ── */
+      case 'move-seat': {
+        const room = hostLobbyRoom(ws, 'reorder seats');
+        if (!room) break;
+        const from = room.names.indexOf(msg.name);
+        const to = msg.to;
+        if (from === -1) { sendError(ws, 'NO_SUCH_PLAYER'); break; }
+        if (to >= room.names.length) { sendError(ws, 'NO_SUCH_SEAT'); break; }
+
+        const [name] = room.names.splice(from, 1);
+        room.names.splice(to, 0, name);
+        broadcastLobby(room);
+        break;
+      }
+
+      /* ── lock / unlock the room (host only, lobby) ─ */
+      case 'lock': {
+        const room = hostLobbyRoom(ws, 'lock the room');
+        if (!room) break;
+        room.locked = msg.locked;
+        broadcastLobby(room);
+        console.log(`Room ${room.code} ${room.locked ? 'locked' : 'unlocked'}`);
+        break;
+      }
+
       /* ── start game (host only) ──────────────────── */
       case 'start': {
         const room = roomForWs(ws);
         if (!room) break;
-        if (ws !== room.host) { send(ws, { type: 'error', message: 'Only the host can start.' }); break; }
-        if (room.names.length < MIN_PLAYERS) { send(ws, { type: 'error', message: `Need at least ${MIN_PLAYERS} players.` }); break; }
-
-        if (room.coop && room.mission) {
-          room.state = createCoopGameState(room.names, room.mission);
-          const missionLabel = room.mission === 'treasure'
-            ? `Treasure Haul — collect ${room.state.coopTarget} pts together!`
-            : `Monster Hunt — destroy all ${room.state.monstersRemaining} sea monsters!`;
-          room.state.log.push(`=== Co-op: ${missionLabel} ===`);
-        } else {
-          room.state = createGameState(room.names);
-        }
-        room.state.log.push(`=== Round 1 begins. Oxygen: ${room.state.oxygen} ===`);
+        if (ws !== room.host) { sendError(ws, 'HOST_ONLY', 'Only the host can start.'); break; }
+        if (room.names.length < MIN_PLAYERS) { sendError(ws, 'NOT_ENOUGH_PLAYERS', `Need at least ${MIN_PLAYERS} players.`); break; }
+
+        assignSeats(room); // leaving, kicks and reordering may have moved players
+        startRoomGame(room);
         room.started = true;
 
         broadcastState(room);
+        runAiTurn(room);
         console.log(`Game started in room ${room.code} with ${room.names.length} players${room.coop ? ' (co-op)' : ''}`);
         break;
       }
@@ -843,20 +876,23 @@ wss.on('connection', (ws) => {
 
         const info = room.clients.get(ws);
         if (!info) break;
+        if (info.spectator) { sendError(ws, 'SPECTATOR'); break; }
 
-        // Only the current player can act
-        if (info.playerId !== room.state.currentPlayerIndex) {
-          send(ws, { type: 'error', message: 'Not your turn.' });
-          break;
-        }
+        // The shared reducer accepts exactly the moves listed by legalActions; its error code goes back to the client
+        const { direction, targetId, chipIndex, autoRoll } = msg.payload || {};
+        const result = applyAction(room.state, { type: msg.action, playerId: info.playerId, direction, targetId, chipIndex, autoRoll });
+        if (result.error) { send(ws, { type: 'error', ...result.error }); break; }
 
-        const handler = ACTION_HANDLERS[msg.action];
-        if (!handler) { send(ws, { type: 'error', message: 'Unknown action.' }); break; }
-
-        const event = handler(room.state, msg.payload || {});
-        if (event === null) { send(ws, { type: 'error', message: 'Invalid action.' }); break; }
+        room.state = result.state;
+        broadcastState(room, result.event);
+        runAiTurn(room);
+        break;
+      }
 
-        broadcastState(room, event);
+      /* ── full state after a missed patch ─────────── */
+      case 'resync': {
+        const room = roomForWs(ws);
+        if (room?.started) sendFullState(room, ws);
         break;
       }
 
@@ -864,19 +900,13 @@ wss.on('connection', (ws) => {
       case 'restart': {
         const room = roomForWs(ws);
         if (!room) break;
-        if (ws !== room.host) break;
-
-        if (room.coop && room.mission) {
-          room.state = createCoopGameState(room.names, room.mission);
-          const missionLabel = room.mission === 'treasure'
-            ? `Treasure Haul — collect ${room.state.coopTarget} pts together!`
-            : `Monster Hunt — destroy all ${room.state.monstersRemaining} sea monsters!`;
-          room.state.log.push(`=== Co-op: ${missionLabel} ===`);
-        } else {
-          room.state = createGameState(room.names);
-        }
-        room.state.log.push(`=== Round 1 begins. Oxygen: ${room.state.oxygen} ===`);
+        if (ws !== room.host) { sendError(ws, 'HOST_ONLY', 'Only the host can restart.'); break; }
+        // A lobby starts through 'start', which seats the players first
+        if (!room.started || !room.state?.gameOver) { sendError(ws, 'GAME_NOT_OVER'); break; }
+
+        startRoomGame(room);
         broadcastState(room);
+        runAiTurn(room);
         console.log(`Game restarted in room ${room.code}`);
         break;
       }
@@ -901,6 +931,12 @@ const roomForWs = (ws) => {
    Start
    ═══════════════════════════════════════════════════════════ */
 
+restoreRooms();
+setInterval(saveRooms, SNAPSHOT_INTERVAL_MS);
+setInterval(() => { heartbeat(); reapIdleRooms(); }, HEARTBEAT_MS);
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 httpServer.listen(PORT, () => {
   console.log(`🌊 Dive, Laugh, Love server running at http://localhost:${PORT}`);
   console.log(`   WebSocket ready for multiplayer connections`);
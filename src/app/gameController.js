@@ -3,32 +3,18 @@
  * Bridges domain logic with the UI layer.
  *
  * Supports two modes:
- *  - LOCAL:  all logic runs in-browser (original behaviour)
+ *  - LOCAL:  all logic runs in-browser (original behaviour); seats may be
+ *            computer-controlled divers that play their turns automatically
  *  - ONLINE: actions are sent to the server via WebSocket
  */
 
-import { createGameState, createCoopGameState } from '../domain/gameState.js';
-import {
-  applyOxygenCost,
-  chooseDirection,
-  applyMovement,
-  pickUpChip,
-  dropChip,
-  skipPickup,
-  endTurn,
-  playerScore,
-  applyTridentAttack,
-  applyDepthCharge,
-  buyAnchor,
-  buyAnchorCoop,
-  buyBomb,
-  useBomb,
-  skipSubTurn,
-  endRoundEarly,
-} from '../domain/turnEngine.js';
-import { rollDice } from '../infra/rng.js';
-import { ANCHOR_COST } from '../infra/constants.js';
-import { canPickUp, canDrop, canDepthCharge, canBuyAnchor, canBuyAnchorCoop, isOnSubmarine, adjacentTargets, canBuyBomb, canUseBomb, canPickUpCoop, canSkipSubTurn, allPlayersOnSub } from '../domain/rules.js';
+import { newGame } from '../domain/gameState.js';
+import { applyAction, legalActions, isUndoable } from '../domain/actions.js';
+import { BOT_POLICIES, chooseBotAction } from '../domain/bots.js';
+import { AI_LEVELS } from '../domain/search.js';
+import { requestAiMove } from '../infra/ai.js';
+import { createRng } from '../infra/rng.js';
+import { BOT_TURN_DELAY_MS, BOT_EVENT_DELAY_MS } from '../infra/constants.js';
 import {
   sfxDiceRoll, sfxMove, sfxReturnToSub, sfxPickup, sfxDrop,
   sfxTridentAttack, sfxTridentKill, sfxTridentBackfire, sfxTridentMiss,
@@ -38,8 +24,14 @@ import { sendAction } from '../infra/network.js';
 
 let state = null;
 let onStateChange = null; // callback for UI re-render
+let onActionError = null; // callback for rejected local actions
 let mode = 'local';       // 'local' | 'online'
 let myPlayerId = null;    // assigned by server in online mode
+let undoStack = [];       // local games: { state, byBot } before each undoable action
+let redoStack = [];       // local games: groups of undone actions, most recent last
+let seatBots = [];        // local games: seat controller per seat (see SEAT_CONTROLLERS), null for humans
+let botRng = null;        // bots' own randomness (never the game's rng)
+let botTimer = null;      // pending bot move
 
 /* ── public API ───────────────────────────────────────────── */
 
@@ -47,358 +39,185 @@ export const setMode = (m) => { mode = m; };
 export const getMode = () => mode;
 export const setMyPlayerId = (id) => { myPlayerId = id; };
 export const getMyPlayerId = () => myPlayerId;
-export const isMyTurn = () => mode === 'local' || (state && state.currentPlayerIndex === myPlayerId);
+export const isMyTurn = () =>
+  mode === 'local' ? !isBotTurn() : !!state && state.currentPlayerIndex === myPlayerId;
 
-export const startGame = (playerNames, renderCallback) => {
-  mode = 'local';
-  state = createGameState(playerNames);
-  onStateChange = renderCallback;
-  state.log.push(`=== Round 1 begins. Oxygen: ${state.oxygen} ===`);
-  notify();
+/**
+ * Computer controllers selectable per seat: the heuristic bot policies and the
+ * search AI at each difficulty. Keys are the values accepted in `bots`; `name`
+ * is the default player name for an unnamed seat.
+ */
+export const SEAT_CONTROLLERS = {
+  ...Object.fromEntries(Object.entries(BOT_POLICIES).map(([key, { label }]) => [key, { label: `${label} bot`, name: label }])),
+  ...Object.fromEntries(Object.entries(AI_LEVELS).map(([level, { label }]) => [`ai-${level}`, { label: `AI (${label})`, name: `AI ${label}`, aiLevel: level }])),
+};
+
+/** Are we watching an online game without a seat? */
+export const isSpectator = () => mode === 'online' && !!state && myPlayerId === null;
+
+/** Is the current seat a computer-controlled diver (local games)? */
+export const isBotTurn = () => mode === 'local' && !!state && !!seatBots[state.currentPlayerIndex];
+
+/**
+ * Start a local versus game. Pass `seed` to replay a specific board and dice
+ * sequence, `rules` to play a variant (overrides of DEFAULT_RULES), and `bots`
+ * to let the computer play some seats (a SEAT_CONTROLLERS key per seat, null for humans).
+ */
+export const startGame = (playerNames, renderCallback, { seed, rules, bots = [] } = {}) => {
+  startLocal(newGame(playerNames, { seed, rules }), bots, renderCallback);
 };
 
 /** Start a co-op game with a chosen mission. */
-export const startCoopGame = (playerNames, mission, renderCallback) => {
-  mode = 'local';
-  state = createCoopGameState(playerNames, mission);
-  onStateChange = renderCallback;
-  const missionLabel = mission === 'treasure'
-    ? `Treasure Haul — collect ${state.coopTarget} pts together!`
-    : `Monster Hunt — destroy all ${state.monstersRemaining} sea monsters!`;
-  state.log.push(`=== Co-op: ${missionLabel} ===`);
-  state.log.push(`=== Round 1 begins. Oxygen: ${state.oxygen} ===`);
-  notify();
+export const startCoopGame = (playerNames, mission, renderCallback, { seed, rules, bots = [] } = {}) => {
+  startLocal(newGame(playerNames, { coop: true, mission, seed, rules }), bots, renderCallback);
 };
 
 /** Receive authoritative state from the server (online mode). */
 export const receiveState = (serverState, playerId, event, renderCallback) => {
+  stopBots();
   state = serverState;
   myPlayerId = playerId;
   if (renderCallback) onStateChange = renderCallback;
 
-  // Play sound effects based on the event
-  playSoundsForEvent(event);
-
-  // Attach event data for overlays
-  if (event.lastKill)      state.lastKill = event.lastKill;
-  if (event.lastAnchor)    state.lastAnchor = event.lastAnchor;
-  if (event.lastExplosion) state.lastExplosion = event.lastExplosion;
-  if (event.lastEvent)     state.lastEvent = event.lastEvent;
-  if (event.lastSkip)      state.lastSkip = true;
-
+  applyEvent(event);
   notify();
 };
 
 export const setRenderCallback = (cb) => { onStateChange = cb; };
 
+/** Called with { code, message } when a local action is rejected by the reducer. */
+export const setActionErrorCallback = (cb) => { onActionError = cb; };
+
 export const getState = () => state;
 
-/** Player chooses direction: 'down' or 'up'. */
+/**
+ * Player chooses direction: 'down' or 'up'. Online the dice are rolled
+ * automatically; locally rolling is a separate step so the choice can be undone.
+ */
 export const actionChooseDirection = (direction) => {
-  if (mode === 'online') {
-    sfxClick();
-    sendAction('choose-direction', { direction });
-    return;
-  }
-  if (!state || state.turnPhase !== 'direction') return;
-  const player = state.players[state.currentPlayerIndex];
-  if (player.position === -1) direction = 'down';
-
   sfxClick();
-  chooseDirection(state, direction);
-  applyOxygenCost(state);
-
-  if (state.oxygen > 0 && state.oxygen <= 5) sfxOxygenLow();
-
-  if (state.oxygen <= 0) {
-    sfxRoundEnd();
-    const drowned = state.players.filter(p => p.position >= 0 && !p.dead).map(p => p.name);
-    state.turnPhase = 'endTurn';
-    endTurn(state);
-    if (state.gameOver) {
-      sfxGameOver();
-      if (state.coopWin) state.lastEvent = { type: 'coopWin', player: 'Team', detail: 'Mission complete! 🎉' };
-      else if (state.coopLose) state.lastEvent = { type: 'coopLose', player: 'Team', detail: 'Mission failed… 💀' };
-      else state.lastEvent = { type: 'gameOver', player: state.winner };
-    } else if (drowned.length > 0) {
-      state.lastEvent = { type: 'drown', player: drowned.join(', '), detail: 'Oxygen depleted!' };
-    } else {
-      state.lastEvent = { type: 'roundEnd', detail: `Round ${state.round} begins` };
-    }
-    notify();
-    return;
-  }
-
-  // Auto-roll dice immediately after choosing direction
-  autoRollAfterDirection();
+  perform('choose-direction', mode === 'local' ? { direction, autoRoll: false } : { direction });
 };
 
 /** Player buys an Anchor Boost while on the submarine. */
-export const actionBuyAnchor = () => {
-  if (mode === 'online') { sfxAnchor(); sendAction('buy-anchor'); return; }
-  if (!state || state.turnPhase !== 'direction') return;
-  const player = state.players[state.currentPlayerIndex];
-  const isCoop = !!state.coop;
-  if (isCoop) {
-    if (!canBuyAnchorCoop(player, state.coopScore)) return;
-    sfxAnchor();
-    buyAnchorCoop(state);
-  } else {
-    if (!canBuyAnchor(player)) return;
-    sfxAnchor();
-    buyAnchor(state);
-  }
-  state.lastAnchor = { player: player.name };
-  notify();
-};
-
-/** Auto-roll dice immediately after choosing direction (local mode). */
-const autoRollAfterDirection = () => {
-  if (!state || state.turnPhase !== 'roll') return;
-  sfxDiceRoll();
-  const { total } = rollDice();
-  const player = state.players[state.currentPlayerIndex];
-  applyMovement(state, total);
-
-  if (state.turnPhase === 'endTurn') {
-    sfxReturnToSub();
-    const scoredCount = player.carried.length;
-    endTurn(state);
-    state.lastEvent = { type: 'returnSub', player: player.name, detail: `Secured ${scoredCount} chip(s)!` };
-    if (state.gameOver) {
-      sfxGameOver();
-      if (state.coopWin) state.lastEvent = { type: 'coopWin', player: 'Team', detail: 'Mission complete! 🎉' };
-      else if (state.coopLose) state.lastEvent = { type: 'coopLose', player: 'Team', detail: 'Mission failed… 💀' };
-      else state.lastEvent = { type: 'gameOver', player: state.winner };
-    }
-  } else {
-    setTimeout(() => sfxMove(), 250);
-  }
-  notify();
-};
+export const actionBuyAnchor = () => perform('buy-anchor', {}, sfxAnchor);
 
 /** Roll dice and move the current player. */
-export const actionRoll = () => {
-  if (mode === 'online') { sfxDiceRoll(); sendAction('roll'); return; }
-  autoRollAfterDirection();
-};
+export const actionRoll = () => perform('roll', {}, sfxDiceRoll);
 
 /** Player picks up a chip at their position. */
-export const actionPickUp = () => {
-  if (mode === 'online') { sfxPickup(); sendAction('pick-up'); return; }
-  if (!state || state.turnPhase !== 'pickup') return;
-  const player = state.players[state.currentPlayerIndex];
-  const canPick = state.coop ? canPickUpCoop(player, state.chips) : canPickUp(player, state.chips);
-  if (!canPick) return;
-  sfxPickup();
-  const chip = state.chips[player.position];
-  const chipLevel = chip ? chip.level : '?';
-  const chipValue = chip ? chip.value : '?';
-  pickUpChip(state);
-  state.lastEvent = { type: 'pickup', player: player.name, detail: `Level ${chipLevel} chip (value: ${chipValue})` };
-  endTurn(state);
-  if (state.gameOver) { sfxGameOver(); state.lastEvent = { type: 'gameOver', player: state.winner }; }
-  notify();
-};
+export const actionPickUp = () => perform('pick-up', {}, sfxPickup);
 
-/** Player drops a chip at their position (swap). */
-export const actionDrop = () => {
-  if (mode === 'online') { sfxDrop(); sendAction('drop'); return; }
-  if (!state || state.turnPhase !== 'pickup') return;
-  const player = state.players[state.currentPlayerIndex];
-  if (!canDrop(player, state.chips)) return;
-  sfxDrop();
-  dropChip(state);
-  state.lastEvent = { type: 'drop', player: player.name };
-  endTurn(state);
-  if (state.gameOver) { sfxGameOver(); state.lastEvent = { type: 'gameOver', player: state.winner }; }
-  notify();
-};
+/** Player drops a carried chip at their position (the last one picked up by default). */
+export const actionDrop = (chipIndex) => perform('drop', chipIndex === undefined ? {} : { chipIndex }, sfxDrop);
 
 /** Player skips pickup/drop. */
 export const actionSkip = () => {
-  if (mode === 'online') { sfxClick(); sendAction('skip'); return; }
-  if (!state || state.turnPhase !== 'pickup') return;
   sfxClick();
-  skipPickup(state);
-  state.lastSkip = true;
-  endTurn(state);
-  if (state.gameOver) sfxGameOver();
-  notify();
+  perform('skip');
 };
 
 /** Player uses Poseidon's Trident on an adjacent target. */
-export const actionTrident = (targetId) => {
-  if (mode === 'online') { sfxTridentAttack(); sendAction('trident', { targetId }); return; }
-  if (!state || state.turnPhase !== 'pickup') return;
-  sfxTridentAttack();
-  const target = state.players.find((p) => p.id === targetId);
-  const attacker = state.players[state.currentPlayerIndex];
-  applyTridentAttack(state, targetId);
-
-  if (target && target.dead) {
-    state.lastKill = { victim: target.name, killer: attacker.name };
-  } else if (attacker.dead) {
-    state.lastKill = { victim: attacker.name, killer: target.name, backfire: true };
-  } else {
-    state.lastKill = null;
-  }
-
-  setTimeout(() => {
-    if (target && target.dead) sfxTridentKill();
-    else if (attacker.dead) sfxTridentBackfire();
-    else sfxTridentMiss();
-  }, 300);
-  endTurn(state);
-  if (state.gameOver) sfxGameOver();
-  notify();
-};
+export const actionTrident = (targetId) => perform('trident', { targetId }, sfxTridentAttack);
 
 /** Player detonates a Depth Charge, destroying the chip on their space. */
-export const actionDepthCharge = () => {
-  if (mode === 'online') { sfxDepthCharge(); sendAction('depth-charge'); return; }
-  if (!state || state.turnPhase !== 'pickup') return;
-  const player = state.players[state.currentPlayerIndex];
-  if (!canDepthCharge(player, state.chips, state.oxygen)) return;
-  const chip = state.chips[player.position];
-  const chipLevel = chip ? chip.level : '?';
-  const chipValue = chip ? chip.value : '?';
-  sfxDepthCharge();
-  applyDepthCharge(state);
-  state.lastExplosion = { player: player.name, detail: `Level ${chipLevel} chip (value: ${chipValue}) destroyed!` };
-  endTurn(state);
-  if (state.gameOver) { sfxGameOver(); state.lastEvent = { type: 'gameOver', player: state.winner }; }
-  notify();
-};
+export const actionDepthCharge = () => perform('depth-charge', {}, sfxDepthCharge);
 
 /** Co-op: Player buys a bomb on the submarine. */
-export const actionBuyBomb = () => {
-  if (mode === 'online') { sfxClick(); sendAction('buy-bomb'); return; }
-  if (!state || !state.coop) return;
-  if (state.turnPhase !== 'direction') return;
-  const player = state.players[state.currentPlayerIndex];
-  if (!canBuyBomb(player, state.coopScore)) return;
-  sfxClick();
-  buyBomb(state);
-  state.lastEvent = { type: 'bomb-buy', player: player.name, detail: `Bought a bomb! (${player.bombs} total)` };
-  notify();
-};
+export const actionBuyBomb = () => perform('buy-bomb', {}, sfxClick);
 
 /** Player on the submarine skips their turn (not on the first turn of the round). */
 export const actionSkipSubTurn = () => {
-  if (mode === 'online') { sfxClick(); sendAction('skip-sub-turn'); return; }
-  if (!state || state.turnPhase !== 'direction') return;
-  const player = state.players[state.currentPlayerIndex];
-  if (!canSkipSubTurn(player, state.players)) return;
   sfxClick();
-  skipSubTurn(state);
-  state.lastSkip = true;
-  endTurn(state);
-  if (state.gameOver) sfxGameOver();
-  notify();
+  perform('skip-sub-turn');
 };
 
 /** Co-op: Player uses a bomb on an adjacent monster. */
-export const actionUseBomb = () => {
-  if (mode === 'online') { sfxDepthCharge(); sendAction('use-bomb'); return; }
-  if (!state || !state.coop) return;
-  if (state.turnPhase !== 'pickup') return;
-  const player = state.players[state.currentPlayerIndex];
-  if (!canUseBomb(player, state.chips)) return;
-  sfxDepthCharge();
-  useBomb(state);
-  state.lastExplosion = { player: player.name, detail: `Sea monster destroyed! (${state.monstersRemaining} remaining)` };
-  endTurn(state);
-  if (state.gameOver) { sfxGameOver(); }
-  if (state.coopWin) { state.lastEvent = { type: 'coopWin', player: 'Team', detail: 'Mission complete! \uD83C\uDF89' }; }
-  notify();
-};
+export const actionUseBomb = () => perform('use-bomb', {}, sfxDepthCharge);
 
 /** Co-op: End the current round early (all players on sub). */
-export const actionEndRoundEarly = () => {
-  if (mode === 'online') { sfxClick(); sendAction('end-round-early'); return; }
-  if (!state || !state.coop) return;
-  if (state.turnPhase !== 'direction') return;
-  if (!allPlayersOnSub(state.players)) return;
-  sfxRoundEnd();
-  endRoundEarly(state);
-  if (state.gameOver) {
-    sfxGameOver();
-    if (state.coopWin) state.lastEvent = { type: 'coopWin', player: 'Team', detail: 'Mission complete! \uD83C\uDF89' };
-    else if (state.coopLose) state.lastEvent = { type: 'coopLose', player: 'Team', detail: 'Mission failed\u2026 \uD83D\uDC80' };
-  } else {
-    state.lastEvent = { type: 'roundEnd', detail: `Round ${state.round} begins` };
-  }
+export const actionEndRoundEarly = () => perform('end-round-early', {}, sfxClick);
+
+/* ── undo / redo (local games) ────────────────────────────── */
+// Only actions that reveal nothing can be undone (see isUndoable): choosing a
+// direction, dropping, skipping, buying, picking up a face-up chip. A dice or
+// trident roll, or turning over a face-down chip, is final and also locks in
+// everything before it.
+
+export const canUndo = () => mode === 'local' && !isBotTurn() && undoStack.some((entry) => !entry.byBot);
+export const canRedo = () => mode === 'local' && !isBotTurn() && redoStack.length > 0;
+
+// With bots at the table, undo goes back to the last human decision and
+// takes the bot moves made since then with it.
+
+/** Take back the last undoable human action (and any bot moves after it). */
+export const actionUndo = () => {
+  if (!canUndo()) return;
+  sfxClick();
+  const undone = state;
+  let entry;
+  do { entry = undoStack.pop(); } while (entry.byBot);
+  state = entry.state;
+  redoStack.push(undone.history.actions.slice(state.history.actions.length));
   notify();
 };
 
-/** Get contextual actions available for the current state. */
+/** Re-apply the most recently undone actions. */
+export const actionRedo = () => {
+  if (!canRedo()) return;
+  sfxClick();
+  for (const action of redoStack.pop()) applyLocal(action, { keepRedo: true });
+};
+
+/**
+ * Buttons for the current player's legal actions. The list itself comes from
+ * the domain's legalActions, so the UI never offers a move the reducer rejects.
+ */
 export const getAvailableActions = () => {
   if (!state) return [];
   const player = state.players[state.currentPlayerIndex];
-  const actions = [];
-  const isCoop = !!state.coop;
-
-  switch (state.turnPhase) {
-    case 'direction':
-      if (player.position === -1) {
-        if (!isCoop && canBuyAnchor(player) && !player.anchorActive) {
-          actions.push({ id: 'buy-anchor', label: `⚓ Buy Anchor (cost: ${ANCHOR_COST} pts)`, action: () => actionBuyAnchor(), anchor: true });
-        }
-        if (isCoop && canBuyAnchorCoop(player, state.coopScore) && !player.anchorActive) {
-          actions.push({ id: 'buy-anchor', label: `⚓ Buy Anchor (cost: ${ANCHOR_COST} pts)`, action: () => actionBuyAnchor(), anchor: true });
-        }
-        // Co-op: buy bomb on sub
-        if (isCoop && state.mission === 'monsters' && canBuyBomb(player, state.coopScore)) {
-          actions.push({ id: 'buy-bomb', label: `💣 Buy Bomb (cost: ${state.bombCost} pts)`, action: () => actionBuyBomb(), bomb: true });
-        }
-        const anchorLabel = player.anchorActive ? '⚓ Dive ↓ (×5!)' : 'Dive ↓';
-        actions.push({ id: 'direction-down', label: anchorLabel, action: () => actionChooseDirection('down') });
-        // Co-op: end round early if all players are on the sub
-        if (isCoop && allPlayersOnSub(state.players)) {
-          actions.push({ id: 'end-round-early', label: '🔔 End Round', action: () => actionEndRoundEarly() });
-        }
-        // Skip turn on sub (only if not the first turn of the round)
-        if (canSkipSubTurn(player, state.players)) {
-          actions.push({ id: 'skip-sub-turn', label: '⏭️ Skip Turn', action: () => actionSkipSubTurn() });
-        }
-      } else {
-        actions.push({ id: 'direction-down', label: 'Deeper ↓', action: () => actionChooseDirection('down') });
-        actions.push({ id: 'direction-up', label: 'Turn back ↑', action: () => actionChooseDirection('up') });
+  const { rules } = state;
+  const onSub = player.position === -1;
+
+  return legalActions(state, state.currentPlayerIndex).map((a) => {
+    switch (a.type) {
+      case 'buy-anchor':
+        return { id: 'buy-anchor', label: `⚓ Buy Anchor (cost: ${rules.anchorCost} pts)`, action: () => actionBuyAnchor(), anchor: true };
+      case 'buy-bomb':
+        return { id: 'buy-bomb', label: `💣 Buy Bomb (cost: ${state.bombCost} pts)`, action: () => actionBuyBomb(), bomb: true };
+      case 'choose-direction': {
+        let label = a.direction === 'up' ? 'Turn back ↑' : 'Deeper ↓';
+        if (onSub) label = player.anchorActive ? `⚓ Dive ↓ (×${rules.anchorMultiplier}!)` : 'Dive ↓';
+        return { id: `direction-${a.direction}`, label, action: () => actionChooseDirection(a.direction) };
       }
-      break;
-    case 'roll':
-      // Auto-roll is handled automatically — no manual button needed
-      break;
-    case 'pickup': {
-      // Co-op uses special pickup rule (can't pick up monsters)
-      const canPick = isCoop ? canPickUpCoop(player, state.chips) : canPickUp(player, state.chips);
-      if (canPick) {
-        actions.push({ id: 'pickup', label: '💎 Pick Up Chip', action: () => actionPickUp() });
+      case 'end-round-early':
+        return { id: 'end-round-early', label: '🔔 End Round', action: () => actionEndRoundEarly() };
+      case 'skip-sub-turn':
+        return { id: 'skip-sub-turn', label: '⏭️ Skip Turn', action: () => actionSkipSubTurn() };
+      case 'pick-up':
+        return { id: 'pickup', label: '💎 Pick Up Chip', action: () => actionPickUp() };
+      case 'drop': {
+        const label = player.carried.length === 1
+          ? '⬇ Drop Chip'
+          : `⬇ Drop Level ${player.carried[a.chipIndex].level} Chip`;
+        return { id: `drop-${a.chipIndex}`, label, action: () => actionDrop(a.chipIndex) };
       }
-      if (canDrop(player, state.chips) && player.carried.length > 0) {
-        actions.push({ id: 'drop', label: '⬇ Drop Chip', action: () => actionDrop() });
+      case 'use-bomb':
+        return { id: 'use-bomb', label: `💣 Bomb Monster (${player.bombs} left)`, action: () => actionUseBomb(), bomb: true };
+      case 'depth-charge':
+        return { id: 'depth-charge', label: `💣 Depth Charge (${player.depthCharges} left)`, action: () => actionDepthCharge(), depthCharge: true };
+      case 'trident': {
+        const target = state.players.find(p => p.id === a.targetId);
+        return { id: `trident-${a.targetId}`, label: `🔱 Attack ${target.name}`, action: () => actionTrident(a.targetId), trident: true };
       }
-      // Co-op: use bomb on adjacent monster
-      if (isCoop && canUseBomb(player, state.chips)) {
-        actions.push({ id: 'use-bomb', label: `💣 Bomb Monster (${player.bombs} left)`, action: () => actionUseBomb(), bomb: true });
-      }
-      if (!isCoop && canDepthCharge(player, state.chips, state.oxygen)) {
-        actions.push({ id: 'depth-charge', label: `💣 Depth Charge (${player.depthCharges} left)`, action: () => actionDepthCharge(), depthCharge: true });
-      }
-      if (!isCoop) {
-        const targets = adjacentTargets(player, state.players);
-        targets.forEach((t) => {
-          actions.push({ id: `trident-${t.id}`, label: `🔱 Attack ${t.name}`, action: () => actionTrident(t.id), trident: true });
-        });
-      }
-      actions.push({ id: 'skip', label: 'Skip', action: () => actionSkip() });
-      break;
+      case 'skip':
+        return { id: 'skip', label: 'Skip', action: () => actionSkip() };
+      case 'roll':
+        return { id: 'roll', label: '🎲 Roll Dice', action: () => actionRoll() };
+      default:
+        return null;
     }
-    default:
-      break;
-  }
-  return actions;
+  }).filter(Boolean);
 };
 
 /* ── internal ─────────────────────────────────────────────── */
@@ -407,7 +226,90 @@ const notify = () => {
   if (onStateChange) onStateChange(state);
 };
 
-/** Play sound effects based on server event in online mode. */
+/**
+ * Send an action to the server (online) or apply it through the shared
+ * reducer (local). `sfx` gives instant feedback while the server responds.
+ */
+const perform = (type, payload = {}, sfx = null) => {
+  if (mode === 'online') {
+    if (sfx) sfx();
+    sendAction(type, payload);
+    return;
+  }
+  if (!state || isBotTurn()) return;
+  applyLocal({ ...payload, type });
+};
+
+/** Apply an action to the local state, tracking it for undo. A new action discards the redo list. */
+const applyLocal = (action, { keepRedo = false } = {}) => {
+  const result = applyAction(state, action);
+  if (result.error) {
+    if (onActionError) onActionError(result.error);
+    return;
+  }
+  if (isUndoable(state, result.state)) undoStack.push({ state, byBot: isBotTurn() });
+  else undoStack = [];
+  if (!keepRedo) redoStack = [];
+  state = result.state;
+  applyEvent(result.event);
+  notify();
+  scheduleBot(result.event);
+};
+
+/** Begin a local game with the given seats played by bots. */
+const startLocal = (initialState, bots, renderCallback) => {
+  stopBots();
+  mode = 'local';
+  state = initialState;
+  seatBots = state.players.map((p, i) => bots[i] || null);
+  botRng = createRng();
+  undoStack = [];
+  redoStack = [];
+  onStateChange = renderCallback;
+  notify();
+  scheduleBot();
+};
+
+/* ── computer-controlled divers (local games) ─────────────── */
+
+/** Schedule the bot's move if it is a bot's turn; the pause lets overlays play out. */
+const scheduleBot = (event) => {
+  stopBots();
+  if (!isBotTurn() || state.gameOver) return;
+  const showsOverlay = event && (event.lastKill || event.lastAnchor || event.lastExplosion || event.lastEvent);
+  botTimer = setTimeout(playBotTurn, showsOverlay ? BOT_EVENT_DELAY_MS : BOT_TURN_DELAY_MS);
+};
+
+const playBotTurn = async () => {
+  botTimer = null;
+  if (!isBotTurn() || state.gameOver) return;
+  const playerId = state.currentPlayerIndex;
+  const seat = seatBots[playerId];
+  const { aiLevel } = SEAT_CONTROLLERS[seat] || {};
+  const thinkingAbout = state;
+  const action = aiLevel
+    ? await requestAiMove(state, playerId, aiLevel) // searched in a Web Worker
+    : chooseBotAction(state, playerId, { policy: seat, rng: botRng });
+  if (state !== thinkingAbout) return; // a new game started while the AI was thinking
+  if (action) applyLocal(action);
+};
+
+const stopBots = () => {
+  if (botTimer) clearTimeout(botTimer);
+  botTimer = null;
+};
+
+/** Play the sounds for an action's event and attach its data for overlays. */
+const applyEvent = (event) => {
+  playSoundsForEvent(event);
+  if (event.lastKill)      state.lastKill = event.lastKill;
+  if (event.lastAnchor)    state.lastAnchor = event.lastAnchor;
+  if (event.lastExplosion) state.lastExplosion = event.lastExplosion;
+  if (event.lastEvent)     state.lastEvent = event.lastEvent;
+  if (event.lastSkip)      state.lastSkip = true;
+};
+
+/** Play sound effects for an action's event. */
 const playSoundsForEvent = (event) => {
   if (!event) return;
   if (event.diceTotal)     sfxDiceRoll();
@@ -0,0 +1,440 @@
+/**
+ * Action reducer — the single entry point for applying a player action.
+ * Both the local controller and the multiplayer server drive the game through
+ * applyAction, so local and online games follow exactly the same rules.
+ *
+ * applyAction is pure: it checks the action against the state, and either
+ * returns a typed error ({ code, message }) or applies the action to a copy
+ * of the state and returns it with an event object describing what happened
+ * (used by the client for sounds and overlays).
+ */
+
+import {
+  applyOxygenCost,
+  chooseDirection,
+  applyMovement,
+  pickUpChip,
+  dropChip,
+  skipPickup,
+  endTurn,
+  applyTridentAttack,
+  applyDepthCharge,
+  buyAnchor,
+  buyAnchorCoop,
+  buyBomb,
+  useBomb,
+  skipSubTurn,
+  endRoundEarly,
+  timeOut,
+} from './turnEngine.js';
+import {
+  canSkipSubTurn,
+  adjacentTargets,
+  allPlayersOnSub,
+  hasMonster,
+  spaceValue,
+  handsAreSecret,
+} from './rules.js';
+import { cloneState } from './gameState.js';
+import { scoreboard } from './scoring.js';
+import { rollDice, sameRngState } from '../infra/rng.js';
+
+/* ── errors ───────────────────────────────────────────────── */
+
+/** Error codes returned by applyAction, with the message shown to players. */
+export const ACTION_ERRORS = Object.freeze({
+  GAME_OVER:             'The game is over.',
+  UNKNOWN_ACTION:        'Unknown action.',
+  NOT_YOUR_TURN:         'Not your turn.',
+  NOT_YOUR_PHASE:        "You can't do that right now.",
+  INVALID_DIRECTION:     'Direction must be up or down.',
+  NOT_ON_SUBMARINE:      'You must be on the submarine.',
+  ANCHOR_ALREADY_ACTIVE: 'You already have an anchor.',
+  NOT_ENOUGH_POINTS:     'Not enough points.',
+  NOT_ENOUGH_OXYGEN:     'Not enough oxygen.',
+  SPACE_EMPTY:           'There is no treasure on this space.',
+  SPACE_OCCUPIED:        'This space already holds treasure.',
+  MONSTER_SPACE:         "You can't pick up a sea monster.",
+  NOTHING_CARRIED:       'You are not carrying any chips.',
+  INVALID_CHIP:          'You are not carrying that chip.',
+  NO_CHARGES_LEFT:       'No depth charges left this round.',
+  NO_BOMBS_LEFT:         'You have no bombs.',
+  NO_MONSTER_ADJACENT:   'There is no sea monster next to you.',
+  INVALID_TARGET:        'That diver is not next to you.',
+  FIRST_TURN_OF_ROUND:   "Nobody has dived yet — you can't stay on the sub.",
+  PLAYERS_STILL_DIVING:  'Everyone must be back on the submarine.',
+  COOP_ONLY:             'Only available in co-op games.',
+  VERSUS_ONLY:           'Not available in co-op games.',
+  MONSTER_MISSION_ONLY:  'Only available in the monster mission.',
+});
+
+/** Build the { code, message } error object for an error code. */
+const actionError = (code) => ({ code, message: ACTION_ERRORS[code] });
+
+/* ── event helpers ────────────────────────────────────────── */
+
+/** Overlay event shown when the game has just ended. */
+const gameOverEvent = (state) => {
+  if (state.coopWin) return { type: 'coopWin', player: 'Team', detail: 'Mission complete! 🎉' };
+  if (state.coopLose) return { type: 'coopLose', player: 'Team', detail: 'Mission failed… 💀' };
+  const [top] = scoreboard(state.players);
+  const detail = state.winner.length > 1 ? `Shared win — ${top.score} pts each`
+    : top.tieBreak ? `${top.score} pts — wins the tie-break on higher-level chips`
+    : `${top.score} pts`;
+  return { type: 'gameOver', player: state.winner.join(' & '), detail };
+};
+
+/**
+ * End the current turn. If the oxygen ran out, the round is over: report the
+ * divers still underwater as drowned. If the game ended, its overlay wins.
+ */
+const finishTurn = (state, event) => {
+  const depleted = state.oxygen <= 0;
+  const drowned = state.players.filter(p => p.position >= 0 && !p.dead);
+  state.turnPhase = 'endTurn';
+  endTurn(state);
+  if (depleted) {
+    event.oxygenDepleted = true;
+    event.drowned = drowned.map(p => p.id);
+    event.lastEvent = drowned.length > 0
+      ? { type: 'drown', player: drowned.map(p => p.name).join(', '), detail: 'Oxygen depleted!' }
+      : { type: 'roundEnd', detail: `Round ${state.round} begins` };
+  }
+  if (state.gameOver) event.lastEvent = gameOverEvent(state);
+  return event;
+};
+
+/**
+ * Overlay text for the chips on a board space (a single chip or a stack).
+ * Events go to every player, so when hands are secret a face-down chip's
+ * value is left out.
+ */
+const describeSpace = (state, space) => {
+  const chips = space.length === 1 ? `Level ${space[0].level} chip` : `Stack of ${space.length} chips`;
+  if (handsAreSecret(state.rules) && space.some((chip) => !chip.discovered)) return chips;
+  return `${chips} (value: ${spaceValue(space)})`;
+};
+
+const currentPlayer = (state) => state.players[state.currentPlayerIndex];
+
+/** Oxygen level at which the low-oxygen warning plays and timed-out divers head home. */
+const LOW_OXYGEN = 5;
+
+/* ── validation ───────────────────────────────────────────── */
+// Each validator returns an error code, or null if the current player may
+// take the action with the given parameters.
+
+const VALIDATORS = {
+  'choose-direction': (state, player, { direction }) => {
+    if (state.turnPhase !== 'direction') return 'NOT_YOUR_PHASE';
+    if (direction !== 'down' && direction !== 'up') return 'INVALID_DIRECTION';
+    // A diver on the submarine can only dive
+    if (direction === 'up' && player.position === -1) return 'INVALID_DIRECTION';
+    return null;
+  },
+  'buy-anchor': (state, player) => {
+    if (state.turnPhase !== 'direction') return 'NOT_YOUR_PHASE';
+    if (player.position !== -1) return 'NOT_ON_SUBMARINE';
+    if (player.anchorActive) return 'ANCHOR_ALREADY_ACTIVE';
+    const points = state.coop ? state.coopScore : spaceValue(player.scored);
+    return points < state.rules.anchorCost ? 'NOT_ENOUGH_POINTS' : null;
+  },
+  'roll': (state) => (state.turnPhase !== 'roll' ? 'NOT_YOUR_PHASE' : null),
+  'pick-up': (state, player) => {
+    if (state.turnPhase !== 'pickup') return 'NOT_YOUR_PHASE';
+    const space = state.spaces[player.position];
+    if (space.length === 0) return 'SPACE_EMPTY';
+    return hasMonster(space) ? 'MONSTER_SPACE' : null;
+  },
+  'drop': (state, player, { chipIndex }) => {
+    if (state.turnPhase !== 'pickup') return 'NOT_YOUR_PHASE';
+    if (player.carried.length === 0) return 'NOTHING_CARRIED';
+    if (chipIndex !== undefined && !(Number.isInteger(chipIndex) && chipIndex >= 0 && chipIndex < player.carried.length)) {
+      return 'INVALID_CHIP';
+    }
+    return state.spaces[player.position].length > 0 ? 'SPACE_OCCUPIED' : null;
+  },
+  'skip': (state) => (state.turnPhase !== 'pickup' ? 'NOT_YOUR_PHASE' : null),
+  'skip-sub-turn': (state, player) => {
+    if (state.turnPhase !== 'direction') return 'NOT_YOUR_PHASE';
+    if (player.position !== -1) return 'NOT_ON_SUBMARINE';
+    return canSkipSubTurn(player, state.players) ? null : 'FIRST_TURN_OF_ROUND';
+  },
+  'end-round-early': (state) => {
+    if (!state.coop) return 'COOP_ONLY';
+    if (state.turnPhase !== 'direction') return 'NOT_YOUR_PHASE';
+    return allPlayersOnSub(state.players) ? null : 'PLAYERS_STILL_DIVING';
+  },
+  'trident': (state, player, { targetId }) => {
+    if (state.coop) return 'VERSUS_ONLY';
+    if (state.turnPhase !== 'pickup') return 'NOT_YOUR_PHASE';
+    const adjacent = adjacentTargets(player, state.players).some(p => p.id === targetId);
+    return adjacent ? null : 'INVALID_TARGET';
+  },
+  'depth-charge': (state, player) => {
+    if (state.coop) return 'VERSUS_ONLY';
+    if (state.turnPhase !== 'pickup') return 'NOT_YOUR_PHASE';
+    if (player.depthCharges <= 0) return 'NO_CHARGES_LEFT';
+    if (state.spaces[player.position].length === 0) return 'SPACE_EMPTY';
+    return state.oxygen < state.rules.depthChargeOxygenCost ? 'NOT_ENOUGH_OXYGEN' : null;
+  },
+  'buy-bomb': (state, player) => {
+    if (!state.coop) return 'COOP_ONLY';
+    if (state.mission !== 'monsters') return 'MONSTER_MISSION_ONLY';
+    if (state.turnPhase !== 'direction') return 'NOT_YOUR_PHASE';
+    if (player.position !== -1) return 'NOT_ON_SUBMARINE';
+    return state.coopScore < state.rules.coopBombCost ? 'NOT_ENOUGH_POINTS' : null;
+  },
+  'use-bomb': (state, player) => {
+    if (!state.coop) return 'COOP_ONLY';
+    if (state.turnPhase !== 'pickup') return 'NOT_YOUR_PHASE';
+    if (!player.bombs || player.bombs <= 0) return 'NO_BOMBS_LEFT';
+    const pos = player.position;
+    const adjacent = hasMonster(state.spaces[pos + 1]) || hasMonster(state.spaces[pos - 1]);
+    return adjacent ? null : 'NO_MONSTER_ADJACENT';
+  },
+};
+
+/* ── handlers ─────────────────────────────────────────────── */
+// Handlers only run for validated actions and mutate the copied state.
+
+const handleChooseDirection = (state, { direction, autoRoll = true }) => {
+  chooseDirection(state, direction);
+  applyOxygenCost(state);
+
+  const event = {};
+  if (state.oxygen <= 0) return finishTurn(state, event); // the round ends before anyone moves
+  if (state.oxygen <= LOW_OXYGEN) event.oxygenLow = true;
+
+  // Auto-roll dice immediately after choosing direction (unless the roll is its own step)
+  if (autoRoll && state.turnPhase === 'roll') {
+    Object.assign(event, handleRoll(state));
+  }
+
+  return event;
+};
+
+const handleBuyAnchor = (state) => {
+  const player = currentPlayer(state);
+  if (state.coop) buyAnchorCoop(state);
+  else buyAnchor(state);
+  return { lastAnchor: { player: player.name, multiplier: state.rules.anchorMultiplier } };
+};
+
+const handleRoll = (state) => {
+  const player = currentPlayer(state);
+  const carriedCount = player.carried.length;
+  const { total } = rollDice(state.rng);
+  applyMovement(state, total);
+
+  const event = { diceTotal: total };
+  if (state.turnPhase === 'endTurn') {
+    event.lastEvent = { type: 'returnSub', player: player.name, detail: `Secured ${carriedCount} chip(s)!` };
+    event.returnedToSub = true;
+    finishTurn(state, event);
+  }
+  return event;
+};
+
+const handlePickUp = (state) => {
+  const player = currentPlayer(state);
+  const detail = describeSpace(state, state.spaces[player.position]);
+  pickUpChip(state);
+  const event = { lastEvent: { type: 'pickup', player: player.name, detail } };
+  return finishTurn(state, event);
+};
+
+const handleDrop = (state, { chipIndex }) => {
+  const player = currentPlayer(state);
+  dropChip(state, chipIndex);
+  return finishTurn(state, { lastEvent: { type: 'drop', player: player.name } });
+};
+
+const handleSkip = (state) => {
+  skipPickup(state);
+  return finishTurn(state, { lastSkip: true });
+};
+
+const handleTrident = (state, { targetId }) => {
+  const attacker = currentPlayer(state);
+  const target = state.players.find(p => p.id === targetId);
+
+  applyTridentAttack(state, targetId);
+
+  const event = {};
+  if (target.dead) {
+    event.lastKill = { victim: target.name, killer: attacker.name };
+  } else if (attacker.dead) {
+    event.lastKill = { victim: attacker.name, killer: target.name, backfire: true };
+  } else {
+    event.tridentMiss = true;
+  }
+  return finishTurn(state, event);
+};
+
+const handleDepthCharge = (state) => {
+  const player = currentPlayer(state);
+  const detail = `${describeSpace(state, state.spaces[player.position])} destroyed!`;
+  applyDepthCharge(state);
+  const event = { lastExplosion: { player: player.name, detail } };
+  return finishTurn(state, event);
+};
+
+const handleBuyBomb = (state) => {
+  const player = currentPlayer(state);
+  buyBomb(state);
+  return { lastEvent: { type: 'bomb-buy', player: player.name, detail: `Bought a bomb! (${player.bombs} total)` } };
+};
+
+const handleUseBomb = (state) => {
+  const player = currentPlayer(state);
+  useBomb(state);
+  const event = { lastExplosion: { player: player.name, detail: `Sea monster destroyed! (${state.monstersRemaining} remaining)` } };
+  return finishTurn(state, event);
+};
+
+const handleSkipSubTurn = (state) => {
+  skipSubTurn(state);
+  return finishTurn(state, { lastSkip: true });
+};
+
+const handleEndRoundEarly = (state) => {
+  endRoundEarly(state);
+  if (state.gameOver) return { lastEvent: gameOverEvent(state) };
+  return { lastEvent: { type: 'roundEnd', detail: `Round ${state.round} begins` } };
+};
+
+const ACTION_HANDLERS = {
+  'choose-direction': handleChooseDirection,
+  'buy-anchor':       handleBuyAnchor,
+  'roll':             handleRoll,
+  'pick-up':          handlePickUp,
+  'drop':             handleDrop,
+  'skip':             handleSkip,
+  'skip-sub-turn':    handleSkipSubTurn,
+  'end-round-early':  handleEndRoundEarly,
+  'trident':          handleTrident,
+  'depth-charge':     handleDepthCharge,
+  'buy-bomb':         handleBuyBomb,
+  'use-bomb':         handleUseBomb,
+};
+
+/** The action as stored in the game history: its type, actor and parameters only. */
+const recordedAction = (state, { type, direction, autoRoll, targetId, chipIndex, timeout }) => {
+  const entry = { type, playerId: state.currentPlayerIndex };
+  if (timeout) entry.timeout = true;
+  if (direction !== undefined) entry.direction = direction;
+  if (autoRoll === false) entry.autoRoll = false;
+  if (targetId !== undefined) entry.targetId = targetId;
+  if (chipIndex !== undefined) entry.chipIndex = chipIndex;
+  return entry;
+};
+
+/* ── public API ───────────────────────────────────────────── */
+
+/** Every action type understood by applyAction. */
+export const ACTION_TYPES = Object.keys(ACTION_HANDLERS);
+
+/**
+ * Check an action against the state without applying it.
+ * @param {object} state  game state
+ * @param {object} action see applyAction
+ * @returns {{ code: string, message: string } | null} the error, or null if the action is allowed
+ */
+export const validateAction = (state, action) => {
+  const validate = VALIDATORS[action?.type];
+  if (!validate) return actionError('UNKNOWN_ACTION');
+  if (state.gameOver) return actionError('GAME_OVER');
+  if (action.playerId !== undefined && action.playerId !== state.currentPlayerIndex) {
+    return actionError('NOT_YOUR_TURN');
+  }
+  const code = validate(state, currentPlayer(state), action);
+  return code ? actionError(code) : null;
+};
+
+/**
+ * Apply an action for the current player. Never mutates `state`; the
+ * returned state has the action appended to its history.
+ * @param {object} state  game state
+ * @param {{ type: string, playerId?: number, direction?: string, autoRoll?: boolean, targetId?: number, chipIndex?: number, timeout?: boolean }} action
+ *   `type` is one of ACTION_TYPES; when `playerId` is given it must be the current player.
+ *   'choose-direction' rolls the dice straight away unless `autoRoll` is false.
+ *   `timeout` marks a move made by the turn clock (see timeoutAction) and logs it.
+ * @returns {{ state: object, event: object } | { error: { code: string, message: string } }}
+ */
+export const applyAction = (state, action) => {
+  const error = validateAction(state, action);
+  if (error) return { error };
+  const next = cloneState(state);
+  if (action.timeout) timeOut(next);
+  const event = ACTION_HANDLERS[action.type](next, action);
+  if (next.history) next.history.actions.push(recordedAction(state, action));
+  return { state: next, event };
+};
+
+/** Ids of the face-down chips lying on the board. */
+const faceDownChips = (state) => new Set(state.spaces.flat().filter((chip) => !chip.discovered).map((chip) => chip.id));
+
+/**
+ * Can the step from `before` to `after` be taken back? Only if it revealed
+ * nothing new: once dice or a trident roll have been seen, or a face-down
+ * chip has been picked up (or blown up) and its value shown, undoing would
+ * let a player retry with that knowledge, so such actions are final.
+ */
+export const isUndoable = (before, after) => {
+  if (!sameRngState(before.rng, after.rng)) return false;
+  const stillFaceDown = faceDownChips(after);
+  return [...faceDownChips(before)].every((id) => stillFaceDown.has(id));
+};
+
+/**
+ * Every action the given player may take right now, with its parameters
+ * (one entry per direction, per trident target and per droppable chip).
+ * Built from the same checks as applyAction, so each listed action is accepted.
+ * @param {object} state
+ * @param {number} playerId
+ * @returns {Array<{ type: string, direction?: string, targetId?: number, chipIndex?: number }>}
+ */
+export const legalActions = (state, playerId) => {
+  if (!state || state.gameOver || playerId !== state.currentPlayerIndex) return [];
+  const player = currentPlayer(state);
+  const candidates = [
+    { type: 'buy-anchor' },
+    { type: 'buy-bomb' },
+    { type: 'choose-direction', direction: 'down' },
+    { type: 'choose-direction', direction: 'up' },
+    { type: 'end-round-early' },
+    { type: 'skip-sub-turn' },
+    { type: 'roll' },
+    { type: 'pick-up' },
+    ...player.carried.map((chip, chipIndex) => ({ type: 'drop', chipIndex })),
+    { type: 'use-bomb' },
+    { type: 'depth-charge' },
+    ...state.players.map(p => ({ type: 'trident', targetId: p.id })),
+    { type: 'skip' },
+  ];
+  return candidates.filter(action => !validateAction(state, { ...action, playerId }));
+};
+
+/**
+ * The move made for the current player when their turn clock runs out:
+ * skip the pick-up, roll if the dice are due, stay on the submarine if
+ * allowed, and otherwise keep the current direction — except that a diver
+ * carrying chips heads back up once oxygen is low.
+ * @param {object} state
+ * @returns {{ type: string, playerId: number, direction?: string, timeout: true } | null} null once the game is over
+ */
+export const timeoutAction = (state) => {
+  if (!state || state.gameOver) return null;
+  const player = currentPlayer(state);
+  const move = (action) => ({ ...action, playerId: state.currentPlayerIndex, timeout: true });
+  if (state.turnPhase === 'pickup') return move({ type: 'skip' });
+  if (state.turnPhase === 'roll') return move({ type: 'roll' });
+  if (player.position === -1) {
+    return canSkipSubTurn(player, state.players)
+      ? move({ type: 'skip-sub-turn' })
+      : move({ type: 'choose-direction', direction: 'down' });
+  }
+  const headHome = player.carried.length > 0 && state.oxygen <= LOW_OXYGEN;
+  return move({ type: 'choose-direction', direction: headHome ? 'up' : player.direction });
+};
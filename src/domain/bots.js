@@ -0,0 +1,121 @@
+/**
+ * Bot policies — computer-controlled divers.
+ * A policy looks at the state and picks one of the moves listed by
+ * legalActions, so bots can never make an illegal move.
+ *
+ * Bots draw their own randomness from a separate rng object (never from
+ * state.rng), so adding a bot does not change the game's dice.
+ */
+
+import { legalActions } from './actions.js';
+import { createRng, randInt } from '../infra/rng.js';
+
+/* ── heuristic profiles ───────────────────────────────────── */
+// maxCarry  – turn back once carrying this many chips
+// safety    – oxygen margin when deciding to turn back (higher = earlier)
+// redive    – dive again from the submarine only with at least this much oxygen
+// anchor / trident / depthCharge – whether the bot uses these powers
+// drop      – shed the least valuable chip when the oxygen won't last the trip home
+
+const PROFILES = {
+  greedy:     { maxCarry: 4, safety: 1,   redive: 12, anchor: true,  trident: false, depthCharge: false, drop: true },
+  cautious:   { maxCarry: 2, safety: 2,   redive: 18, anchor: false, trident: false, depthCharge: false, drop: true },
+  aggressive: { maxCarry: 3, safety: 1.5, redive: 12, anchor: true,  trident: true,  depthCharge: true,  drop: false },
+};
+
+const find = (legal, type) => legal.find((a) => a.type === type);
+
+/** Rough oxygen needed to get home: turns to reach the sub × chips carried by every diver. */
+const oxygenToReturn = (state, player) => {
+  const stepsPerTurn = Math.max(1, 4 - player.carried.length); // 4 = average roll of two 1–3 dice
+  const turnsHome = Math.ceil((player.position + 1) / stepsPerTurn);
+  const carriedUnderwater = state.players
+    .filter((p) => p.position >= 0 && !p.dead)
+    .reduce((sum, p) => sum + p.carried.length, 0);
+  return turnsHome * Math.max(1, carriedUnderwater);
+};
+
+/**
+ * What a pile looks worth to a diver: the values of face-up chips, and the
+ * average of its level for a face-down one (bots never peek at hidden values).
+ */
+const expectedValue = (state, pile) => pile.reduce((sum, chip) => {
+  if (chip.discovered) return sum + chip.value;
+  const [lo, hi] = state.rules.levelValueRanges[chip.level];
+  return sum + (lo + hi) / 2;
+}, 0);
+
+/** Direction phase: buy powers, dive, turn back or stay aboard. */
+const chooseDirection = (state, player, legal, profile) => {
+  if (player.position === -1) {
+    const skip = find(legal, 'skip-sub-turn');
+    if (skip && state.oxygen < profile.redive) return skip;
+    const endEarly = find(legal, 'end-round-early');
+    if (endEarly && state.oxygen < profile.redive) return endEarly;
+    if (find(legal, 'buy-bomb') && !player.bombs) return find(legal, 'buy-bomb');
+    // In co-op the anchor spends team points that bombs and the target need
+    if (profile.anchor && !state.coop && find(legal, 'buy-anchor')) return find(legal, 'buy-anchor');
+    return legal.find((a) => a.direction === 'down');
+  }
+  const turnBack = player.direction === 'up' ||
+    player.carried.length >= profile.maxCarry ||
+    state.oxygen <= oxygenToReturn(state, player) * profile.safety;
+  return legal.find((a) => a.direction === (turnBack ? 'up' : 'down')) || legal[0];
+};
+
+/** Pickup phase: attack, bomb, grab treasure, shed weight or move on. */
+const choosePickup = (state, player, legal, profile) => {
+  if (profile.trident) {
+    const targets = legal
+      .filter((a) => a.type === 'trident')
+      .map((a) => ({ action: a, target: state.players[a.targetId] }))
+      .filter(({ target }) => target.carried.length > 0)
+      .sort((a, b) => b.target.carried.length - a.target.carried.length);
+    if (targets.length > 0) return targets[0].action;
+  }
+  if (find(legal, 'use-bomb')) return find(legal, 'use-bomb');
+  const space = state.spaces[player.position];
+  if (find(legal, 'pick-up') && player.direction === 'down' && player.carried.length < profile.maxCarry) {
+    return find(legal, 'pick-up');
+  }
+  // Short of oxygen: lighten the load, keeping the chips that look worth the most
+  if (profile.drop && find(legal, 'drop') && player.carried.length > 1 && state.oxygen < oxygenToReturn(state, player)) {
+    const worth = player.carried.map((chip) => expectedValue(state, [chip]));
+    return legal.find((a) => a.type === 'drop' && a.chipIndex === worth.indexOf(Math.min(...worth)));
+  }
+  // Deny rivals a valuable pile we can't carry ourselves
+  if (profile.depthCharge && find(legal, 'depth-charge') && expectedValue(state, space) >= 10) {
+    return find(legal, 'depth-charge');
+  }
+  return find(legal, 'skip') || legal[0];
+};
+
+const heuristicPolicy = (profile) => (state, player, legal) =>
+  state.turnPhase === 'pickup'
+    ? choosePickup(state, player, legal, profile)
+    : chooseDirection(state, player, legal, profile) || legal[0];
+
+/* ── public API ───────────────────────────────────────────── */
+
+/** Available bot policies: name → { label, choose(state, player, legal, rng) }. */
+export const BOT_POLICIES = {
+  random:     { label: 'Random',     choose: (state, player, legal, rng) => legal[randInt(rng, 0, legal.length - 1)] },
+  greedy:     { label: 'Greedy',     choose: heuristicPolicy(PROFILES.greedy) },
+  cautious:   { label: 'Cautious',   choose: heuristicPolicy(PROFILES.cautious) },
+  aggressive: { label: 'Aggressive', choose: heuristicPolicy(PROFILES.aggressive) },
+};
+
+/**
+ * Pick the next action for a bot-controlled player.
+ * @param {object} state
+ * @param {number} playerId  must be the current player
+ * @param {{ policy?: string, rng?: object }} [options]  `rng` is the bot's own
+ *   rng object (see infra/rng.js); a random one is used if omitted
+ * @returns {object|null} an action for applyAction, or null if the player can't act
+ */
+export const chooseBotAction = (state, playerId, { policy = 'greedy', rng = createRng() } = {}) => {
+  const legal = legalActions(state, playerId);
+  if (legal.length === 0) return null;
+  const { choose } = BOT_POLICIES[policy] || BOT_POLICIES.greedy;
+  return { ...choose(state, state.players[playerId], legal, rng), playerId };
+};
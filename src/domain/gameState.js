@@ -3,40 +3,70 @@
  * The state object is the single source of truth for the entire game.
  */
 
-import {
-  STARTING_OXYGEN,
-  TOTAL_ROUNDS,
-  CHIP_LEVELS,
-  LEVEL_VALUE_RANGES,
-  BOARD_SIZE,
-  DEPTH_CHARGES_PER_ROUND,
-  COOP_TREASURE_PER_PLAYER,
-  COOP_BOMB_COST,
-} from '../infra/constants.js';
-
-/** Generate a random integer in [min, max] inclusive. */
-const randInt = (min, max) => Math.floor(Math.random() * (max - min + 1)) + min;
+import { DEFAULT_RULES } from '../infra/constants.js';
+import { createRng, randInt } from '../infra/rng.js';
+
+/* ── Rule set ─────────────────────────────────────────────── */
+
+const isCount = (v) => Number.isInteger(v) && v >= 0;
+
+/** Validators for each overridable rule; invalid or unknown overrides are ignored. */
+const RULE_CHECKS = {
+  startingOxygen:        (v) => isCount(v) && v > 0,
+  totalRounds:           (v) => isCount(v) && v > 0,
+  chipLevels:            (v) => Array.isArray(v) && v.length > 0 && v.every((l) => [1, 2, 3, 4].includes(l)),
+  levelValueRanges:      (v) => !!v && [1, 2, 3, 4].every((l) => Array.isArray(v[l]) && isCount(v[l][0]) && isCount(v[l][1]) && v[l][1] >= v[l][0]),
+  sunkenStackSize:       (v) => isCount(v) && v > 0,
+  depthChargesPerRound:  isCount,
+  depthChargeOxygenCost: isCount,
+  anchorCost:            isCount,
+  anchorMultiplier:      (v) => isCount(v) && v > 0,
+  tridentKillMin:        (v) => isCount(v) && v >= 1 && v <= 7,
+  tridentBackfireMax:    (v) => isCount(v) && v <= 6,
+  coopTreasurePerPlayer: isCount,
+  coopBombCost:          isCount,
+  secretHand:            (v) => typeof v === 'boolean',
+  hideCarried:           (v) => typeof v === 'boolean',
+};
 
 /**
- * Create initial treasure chips on the board.
+ * Build a complete rule set from DEFAULT_RULES plus any overrides,
+ * e.g. resolveRules({ startingOxygen: 35 }).
+ */
+export const resolveRules = (overrides = {}) => {
+  const rules = { ...DEFAULT_RULES };
+  for (const [key, check] of Object.entries(RULE_CHECKS)) {
+    if (overrides && overrides[key] !== undefined && check(overrides[key])) rules[key] = overrides[key];
+  }
+  return rules;
+};
+
+/**
+ * Create initial treasure chips on the board, laid out by rules.chipLevels.
  * Each chip: { id, level, value, discovered: false }
- * Values are hidden until picked up.
+ * Values are hidden until picked up and drawn from the game's rng.
  */
-export const createChips = () =>
-  CHIP_LEVELS.map((level, index) => {
-    const [lo, hi] = LEVEL_VALUE_RANGES[level];
+export const createChips = (rng, rules = DEFAULT_RULES) =>
+  rules.chipLevels.map((level, index) => {
+    const [lo, hi] = rules.levelValueRanges[level];
     return {
       id: index,
       level,
-      value: randInt(lo, hi),
+      value: randInt(rng, lo, hi),
       discovered: false,
     };
   });
 
+/**
+ * Lay chips out as board spaces. Each space is an array of chips:
+ * empty ([]), a single chip, or a pile such as a sunken stack.
+ */
+export const createSpaces = (chips) => chips.map((chip) => [chip]);
+
 /**
  * Create a fresh player object.
  */
-export const createPlayer = (id, name) => ({
+export const createPlayer = (id, name, rules = DEFAULT_RULES) => ({
   id,
   name,
   position: -1,          // -1 = on the submarine
@@ -45,22 +75,28 @@ export const createPlayer = (id, name) => ({
   scored: [],            // chips safely brought back (across rounds)
   drowned: false,        // set when oxygen runs out while underwater
   dead: false,           // killed by Poseidon's Trident this round
-  depthCharges: DEPTH_CHARGES_PER_ROUND, // depth charges remaining this round
+  depthCharges: rules.depthChargesPerRound, // depth charges remaining this round
   anchorActive: false,   // true if anchor purchased — next roll is multiplied
   bombs: 0,              // co-op: bombs purchased to destroy monsters
 });
 
 /**
  * Create a brand-new game state for the given player names.
+ * Pass `seed` to reproduce a previous game's board, dice and trident rolls,
+ * and `rules` to override any of DEFAULT_RULES for a variant.
+ * @param {string[]} playerNames
+ * @param {{ seed?: number|string, rules?: object }} [options]
  */
-export const createGameState = (playerNames) => {
-  const players = playerNames.map((name, i) => createPlayer(i, name));
+export const createGameState = (playerNames, { seed, rules: overrides } = {}) => {
+  const rules = resolveRules(overrides);
+  const players = playerNames.map((name, i) => createPlayer(i, name, rules));
+  const rng = createRng(seed);
   return {
     round: 1,
-    maxRounds: TOTAL_ROUNDS,
-    oxygen: STARTING_OXYGEN,
-    boardSize: BOARD_SIZE,
-    chips: createChips(),            // mutable chip array (spaces on board)
+    maxRounds: rules.totalRounds,
+    oxygen: rules.startingOxygen,
+    boardSize: rules.chipLevels.length,
+    spaces: createSpaces(createChips(rng, rules)), // board spaces, each an array of chips
     players,
     currentPlayerIndex: 0,
     turnPhase: 'direction',          // 'direction' | 'roll' | 'pickup' | 'roundEnd' | 'gameOver'
@@ -69,9 +105,14 @@ export const createGameState = (playerNames) => {
     gameOver: false,
     winner: null,
     log: [],                         // human-readable event log
+    rng,                             // seeded PRNG — all game randomness comes from here
+    rules,                           // rule set for this game (see resolveRules)
   };
 };
 
+/** The game log line that records the seed (hidden from viewers who must not know the chips). */
+export const seedLogLine = (seed) => `🎲 Game seed: ${seed}`;
+
 /** Deep-clone the state (simple JSON round-trip, fine for this size). */
 export const cloneState = (state) => JSON.parse(JSON.stringify(state));
 
@@ -82,8 +123,8 @@ export const cloneState = (state) => JSON.parse(JSON.stringify(state));
  * evenly spaced so there are enough treasure chips before each monster
  * for the team to collect and fund bombs.
  */
-const createMonsterChips = (monsterCount) => {
-  const chips = createChips();
+const createMonsterChips = (rng, rules, monsterCount) => {
+  const chips = createChips(rng, rules);
   // Place monsters evenly in the range [6 .. boardSize-3]
   // This guarantees the first ~6 chips are always collectible treasure,
   // and there's a gap of treasure between each monster.
@@ -111,19 +152,23 @@ const createMonsterChips = (monsterCount) => {
  * Create a co-op game state.
  * @param {string[]} playerNames
  * @param {'treasure'|'monsters'} mission
+ * @param {{ seed?: number|string, rules?: object }} [options]
  */
-export const createCoopGameState = (playerNames, mission) => {
-  const players = playerNames.map((name, i) => createPlayer(i, name));
+export const createCoopGameState = (playerNames, mission, { seed, rules: overrides } = {}) => {
+  const rules = resolveRules(overrides);
+  const players = playerNames.map((name, i) => createPlayer(i, name, rules));
+  const rng = createRng(seed);
   const isMonsterMission = mission === 'monsters';
   const monsterCount = playerNames.length;
-  const chips = isMonsterMission ? createMonsterChips(monsterCount) : createChips();
+  const chips = isMonsterMission ? createMonsterChips(rng, rules, monsterCount) : createChips(rng, rules);
+  const spaces = createSpaces(chips);
 
   return {
     round: 1,
-    maxRounds: TOTAL_ROUNDS,
-    oxygen: STARTING_OXYGEN,
-    boardSize: BOARD_SIZE,
-    chips,
+    maxRounds: rules.totalRounds,
+    oxygen: rules.startingOxygen,
+    boardSize: spaces.length,
+    spaces,
     players,
     currentPlayerIndex: 0,
     turnPhase: 'direction',
@@ -132,14 +177,45 @@ export const createCoopGameState = (playerNames, mission) => {
     gameOver: false,
     winner: null,
     log: [],
+    rng,
+    rules,
     // Co-op fields
     coop: true,
     mission,                          // 'treasure' | 'monsters'
     coopScore: 0,                     // shared pool of scored treasure
-    coopTarget: mission === 'treasure' ? COOP_TREASURE_PER_PLAYER * playerNames.length : null,
+    coopTarget: mission === 'treasure' ? rules.coopTreasurePerPlayer * playerNames.length : null,
     monstersRemaining: isMonsterMission ? monsterCount : 0,
     coopWin: false,
     coopLose: false,
-    bombCost: COOP_BOMB_COST,
+    bombCost: rules.coopBombCost,
+  };
+};
+
+/* ── Game start ───────────────────────────────────────────── */
+
+/**
+ * Create a versus or co-op game and write its opening log lines.
+ * Shared by the local controller and the server so both start identically.
+ * The game's setup is stored in `state.history` so it can be replayed (see replay.js).
+ * @param {string[]} playerNames
+ * @param {{ coop?: boolean, mission?: 'treasure'|'monsters', seed?: number|string, rules?: object }} [options]
+ */
+export const newGame = (playerNames, { coop = false, mission = null, seed, rules } = {}) => {
+  let state;
+  if (coop) {
+    state = createCoopGameState(playerNames, mission, { seed, rules });
+    const missionLabel = mission === 'treasure'
+      ? `Treasure Haul — collect ${state.coopTarget} pts together!`
+      : `Monster Hunt — destroy all ${state.monstersRemaining} sea monsters!`;
+    state.log.push(`=== Co-op: ${missionLabel} ===`);
+  } else {
+    state = createGameState(playerNames, { seed, rules });
+  }
+  state.log.push(seedLogLine(state.rng.seed));
+  state.log.push(`=== Round 1 begins. Oxygen: ${state.oxygen} ===`);
+  state.history = {
+    setup: { playerNames: [...playerNames], coop, mission, seed: state.rng.seed, rules: { ...state.rules } },
+    actions: [],                     // every applied action, in order (appended by applyAction)
   };
+  return state;
 };
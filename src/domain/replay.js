@@ -0,0 +1,28 @@
+/**
+ * Game replay — rebuilds a game from its recorded history.
+ * A history is the game's setup (players, mode, seed, rules) plus the ordered
+ * list of applied actions. Since all randomness comes from the seeded rng,
+ * replaying the actions reproduces every board, roll and log line exactly.
+ */
+
+import { newGame } from './gameState.js';
+import { applyAction } from './actions.js';
+
+/**
+ * Rebuild the game state after the first `upTo` recorded actions
+ * (all of them by default; 0 gives the starting position).
+ * @param {{ setup: object, actions: object[] }} history  e.g. `state.history`
+ * @param {number} [upTo]
+ * @returns {object} the game state at that point
+ * @throws {Error} if a recorded action is rejected (the history does not match this engine)
+ */
+export const replayGame = (history, upTo = history.actions.length) => {
+  const { playerNames, coop, mission, seed, rules } = history.setup;
+  let state = newGame(playerNames, { coop, mission, seed, rules });
+  for (const [i, action] of history.actions.slice(0, upTo).entries()) {
+    const result = applyAction(state, action);
+    if (result.error) throw new Error(`Replay failed at action ${i} (${action.type}): ${result.error.code}`);
+    state = result.state;
+  }
+  return state;
+};
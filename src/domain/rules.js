@@ -2,7 +2,8 @@
  * Pure rule functions — no side effects, no DOM.
  */
 
-import { BOARD_SIZE, STARTING_OXYGEN, DEPTH_CHARGE_OXYGEN_COST, ANCHOR_COST, COOP_BOMB_COST } from '../infra/constants.js';
+import { DEFAULT_RULES } from '../infra/constants.js';
+import { randInt } from '../infra/rng.js';
 
 /* ── oxygen ───────────────────────────────────────────────── */
 
@@ -69,47 +70,66 @@ export const occupiedBy = (players, excludeId) => {
   return s;
 };
 
+/* ── board spaces ─────────────────────────────────────────── */
+// Each board space is an array of chips: [] when empty, one chip normally,
+// or several for sunken stacks and piles.
+
+/** Number of chips on a board space. */
+export const chipCount = (space) => space.length;
+
+/** Total value of the chips on a board space. */
+export const spaceValue = (space) => space.reduce((sum, c) => sum + c.value, 0);
+
+/** Do picked-up chips stay face down for everyone but their diver (secret-hand or hide-carried rule)? */
+export const handsAreSecret = (rules) => rules.secretHand || rules.hideCarried;
+
+/** Does the board space hold a sea monster? (false for off-board positions) */
+export const hasMonster = (space) => !!space && space.some((c) => c.monster);
+
+/** Number of sea monsters left on the board. */
+export const countMonsters = (spaces) => spaces.filter(hasMonster).length;
+
 /* ── pickup / drop ────────────────────────────────────────── */
 
-/** Can the player pick up a chip at their current position? */
-export const canPickUp = (player, chips) => {
+/** Can the player pick up the chip(s) at their current position? */
+export const canPickUp = (player, spaces) => {
   if (player.position < 0) return false;
-  return chips[player.position] !== null;
+  return spaces[player.position].length > 0;
 };
 
 /** Can the player drop a chip at their current position? */
-export const canDrop = (player, chips) => {
+export const canDrop = (player, spaces) => {
   if (player.carried.length === 0) return false;
   if (player.position < 0) return false;
-  return chips[player.position] === null; // space must be empty
+  return spaces[player.position].length === 0; // space must be empty
 };
 
 /* ── Anchor Boost ─────────────────────────────────────────── */
 
 /** Can the player buy an anchor? Must be on the sub and have enough scored value. */
-export const canBuyAnchor = (player) => {
+export const canBuyAnchor = (player, rules = DEFAULT_RULES) => {
   if (player.position !== -1) return false; // must be on submarine
   if (player.anchorActive) return false; // already bought one
   // Calculate total scored value
   const totalScored = player.scored.reduce((sum, c) => sum + c.value, 0);
-  return totalScored >= ANCHOR_COST;
+  return totalScored >= rules.anchorCost;
 };
 
 /** Can the player buy an anchor in co-op? Spends from the shared pool. */
-export const canBuyAnchorCoop = (player, coopScore) => {
+export const canBuyAnchorCoop = (player, coopScore, rules = DEFAULT_RULES) => {
   if (player.position !== -1) return false;
   if (player.anchorActive) return false;
-  return coopScore >= ANCHOR_COST;
+  return coopScore >= rules.anchorCost;
 };
 
 /* ── Depth Charge ─────────────────────────────────────────── */
 
 /** Can the player detonate a depth charge on their current space? */
-export const canDepthCharge = (player, chips, oxygen) => {
+export const canDepthCharge = (player, spaces, oxygen, rules = DEFAULT_RULES) => {
   if (player.position < 0) return false;
   if (player.depthCharges <= 0) return false;
-  if (chips[player.position] === null) return false; // must have a chip to destroy
-  if (oxygen < DEPTH_CHARGE_OXYGEN_COST) return false; // not enough oxygen
+  if (spaces[player.position].length === 0) return false; // must have chips to destroy
+  if (oxygen < rules.depthChargeOxygenCost) return false; // not enough oxygen
   return true;
 };
 
@@ -124,11 +144,11 @@ export const adjacentTargets = (player, players) => {
   );
 };
 
-/** Roll 1d6 for a trident attack. Returns { roll, result: 'kill' | 'backfire' | 'miss' }. */
-export const resolveTridentRoll = () => {
-  const roll = Math.ceil(Math.random() * 6);
-  if (roll >= 5) return { roll, result: 'kill' };
-  if (roll === 1) return { roll, result: 'backfire' };
+/** Roll 1d6 for a trident attack using the game's rng. Returns { roll, result: 'kill' | 'backfire' | 'miss' }. */
+export const resolveTridentRoll = (rng, rules = DEFAULT_RULES) => {
+  const roll = randInt(rng, 1, 6);
+  if (roll >= rules.tridentKillMin) return { roll, result: 'kill' };
+  if (roll <= rules.tridentBackfireMax) return { roll, result: 'backfire' };
   return { roll, result: 'miss' };
 };
 
@@ -184,36 +204,34 @@ export const canSkipSubTurn = (player, players) => {
 /* ── Co-op helpers ────────────────────────────────────────── */
 
 /** Can the player buy a bomb? Must be on submarine with enough co-op score. */
-export const canBuyBomb = (player, coopScore) => {
+export const canBuyBomb = (player, coopScore, rules = DEFAULT_RULES) => {
   if (player.position !== -1) return false;
-  return coopScore >= COOP_BOMB_COST;
+  return coopScore >= rules.coopBombCost;
 };
 
 /** Can the player use a bomb? Must have a bomb and be adjacent to a monster. */
-export const canUseBomb = (player, chips) => {
+export const canUseBomb = (player, spaces) => {
   if (player.position < 0) return false;
   if (!player.bombs || player.bombs <= 0) return false;
   // Check adjacent positions (pos+1 and pos-1) for monsters
   const pos = player.position;
-  const ahead = pos + 1 < chips.length && chips[pos + 1] && chips[pos + 1].monster;
-  const behind = pos - 1 >= 0 && chips[pos - 1] && chips[pos - 1].monster;
-  return ahead || behind;
+  return hasMonster(spaces[pos + 1]) || hasMonster(spaces[pos - 1]);
 };
 
 /** Get the set of positions that have living monsters (for blocking movement). */
-export const getMonsterPositions = (chips) => {
+export const getMonsterPositions = (spaces) => {
   const s = new Set();
-  for (let i = 0; i < chips.length; i++) {
-    if (chips[i] && chips[i].monster) s.add(i);
+  for (let i = 0; i < spaces.length; i++) {
+    if (hasMonster(spaces[i])) s.add(i);
   }
   return s;
 };
 
 /** Can a player pick up a chip? In co-op monster mission, can't pick up monster chips normally. */
-export const canPickUpCoop = (player, chips) => {
+export const canPickUpCoop = (player, spaces) => {
   if (player.position < 0) return false;
-  const chip = chips[player.position];
-  if (!chip) return false;
-  if (chip.monster) return false; // can't pick up monsters
+  const space = spaces[player.position];
+  if (space.length === 0) return false;
+  if (hasMonster(space)) return false; // can't pick up monsters
   return true;
 };
@@ -6,8 +6,40 @@
 export const playerScore = (player) =>
   player.scored.reduce((sum, chip) => sum + chip.value, 0);
 
-/** Return array of { name, score } sorted descending. */
-export const scoreboard = (players) =>
-  players
-    .map((p) => ({ name: p.name, score: playerScore(p) }))
-    .sort((a, b) => b.score - a.score);
+/** Scored chips per level, highest level first: [level 4, level 3, level 2, level 1]. */
+export const levelCounts = (player) =>
+  [4, 3, 2, 1].map((level) => player.scored.filter((chip) => chip.level === level).length);
+
+/**
+ * Order two { score, levels } entries: higher score first, then the rulebook
+ * tie-breaker — more higher-level chips wins. Returns 0 for a genuine tie.
+ */
+const compareStanding = (a, b) => {
+  if (a.score !== b.score) return b.score - a.score;
+  for (let i = 0; i < a.levels.length; i++) {
+    if (a.levels[i] !== b.levels[i]) return b.levels[i] - a.levels[i];
+  }
+  return 0;
+};
+
+/**
+ * Final standings, best first: [{ id, name, score, levels, place, tieBreak }].
+ * Players still tied after the tie-breaker share a place (e.g. 1, 1, 3);
+ * `tieBreak` is true when the place was decided by chip levels, not points.
+ */
+export const scoreboard = (players) => {
+  const rows = players
+    .map((p) => ({ id: p.id, name: p.name, score: playerScore(p), levels: levelCounts(p) }))
+    .sort(compareStanding);
+  rows.forEach((row, i) => {
+    const prev = rows[i - 1];
+    const next = rows[i + 1];
+    row.place = prev && compareStanding(prev, row) === 0 ? prev.place : i + 1;
+    row.tieBreak = [prev, next].some((other) => other && other.score === row.score && compareStanding(other, row) !== 0);
+  });
+  return rows;
+};
+
+/** Names of every player in first place (more than one when the tie-breaker can't separate them). */
+export const winners = (players) =>
+  scoreboard(players).filter((row) => row.place === 1).map((row) => row.name);
@@ -0,0 +1,159 @@
+/**
+ * Search-based AI — a Monte Carlo tree search player.
+ *
+ * Every legal move of the current player is tried many times (UCB1 picks which
+ * move deserves the next try). Each try plays the rest of the round out with
+ * the real engine: dice and trident rolls are drawn from a fresh sample rng,
+ * never from state.rng, so the AI weighs the dice distribution (two 1–3 dice)
+ * instead of peeking at the seeded future. Nor does it peek at chips: every
+ * playout redraws the values the AI's player can't see (face-down chips,
+ * rivals' secret hands) from their level's range. Oxygen drain from everyone's
+ * carried chips and other divers' positions follow from the playout itself,
+ * where every diver plays the greedy heuristic with some random moves mixed in.
+ *
+ * The search runs in small steps so callers can spread it over several ticks
+ * (searchActionAsync) and never block rendering or a server's event loop.
+ */
+
+import { applyAction, legalActions } from './actions.js';
+import { BOT_POLICIES } from './bots.js';
+import { cloneState } from './gameState.js';
+import { chipVisible } from './visibility.js';
+import { playerScore } from './scoring.js';
+import { createRng, nextFloat, randInt } from '../infra/rng.js';
+
+/** Difficulty levels: playouts per decision and how sloppy the simulated divers are. */
+export const AI_LEVELS = {
+  easy:   { label: 'Easy',   playouts: 40,  epsilon: 0.3 },
+  medium: { label: 'Medium', playouts: 200, epsilon: 0.15 },
+  hard:   { label: 'Hard',   playouts: 800, epsilon: 0.1 },
+};
+
+const EXPLORATION = 0.7;       // UCB1 exploration constant
+const MAX_PLAYOUT_STEPS = 600; // safety net for a playout that never ends the round
+const PLAYOUTS_PER_SLICE = 20; // playouts between yields in searchActionAsync
+
+/* ── playouts ─────────────────────────────────────────────── */
+
+/**
+ * How good `state` is for `playerId`, from 0 (lost) to 1 (won).
+ * Versus: the winner share at game end, otherwise the score margin over the best rival.
+ * Co-op: mission result at game end, otherwise progress towards it.
+ */
+const evaluate = (state, playerId) => {
+  if (state.coop) {
+    if (state.gameOver) return state.coopWin ? 1 : 0;
+    const progress = state.mission === 'treasure'
+      ? state.coopScore / state.coopTarget
+      : 1 - state.monstersRemaining / state.players.length + state.coopScore / 100;
+    return 0.9 * Math.min(1, progress);
+  }
+  const me = state.players[playerId];
+  if (state.gameOver) return state.winner.includes(me.name) ? 1 / state.winner.length : 0;
+  const rivals = state.players.filter((p) => p.id !== playerId).map(playerScore);
+  const margin = playerScore(me) - Math.max(...rivals);
+  return 0.5 + Math.max(-0.5, Math.min(0.5, margin / 40));
+};
+
+/** Play from `state` to the end of its round (or game) and score the result for `playerId`. */
+const playout = (state, playerId, rng, epsilon) => {
+  const { round } = state;
+  const { choose } = BOT_POLICIES.greedy;
+  let s = state;
+  for (let step = 0; step < MAX_PLAYOUT_STEPS && !s.gameOver && s.round === round; step++) {
+    const legal = legalActions(s, s.currentPlayerIndex);
+    const action = nextFloat(rng) < epsilon
+      ? legal[randInt(rng, 0, legal.length - 1)]
+      : choose(s, s.players[s.currentPlayerIndex], legal, rng);
+    s = applyAction(s, action).state;
+  }
+  return evaluate(s, playerId);
+};
+
+/**
+ * One guess at the hidden parts of `state`: every chip value `playerId`
+ * can't see is redrawn from its level's range (chips are shared, not copied,
+ * where nothing changes — applyAction copies the state before moving on).
+ */
+const determinize = (state, playerId, rng) => {
+  const redraw = (chip) => {
+    const [lo, hi] = state.rules.levelValueRanges[chip.level];
+    return { ...chip, value: randInt(rng, lo, hi) };
+  };
+  const guessHand = (owner) => (chip) => (chipVisible(state, owner.id, chip, playerId) ? chip : redraw(chip));
+  return {
+    ...state,
+    spaces: state.spaces.map((pile) => pile.map((chip) => (chip.discovered ? chip : redraw(chip)))),
+    players: state.players.map((p) => ({ ...p, carried: p.carried.map(guessHand(p)), scored: p.scored.map(guessHand(p)) })),
+  };
+};
+
+/* ── search ───────────────────────────────────────────────── */
+
+/**
+ * Set up a search for the current player's best move.
+ * @returns {{ step: (playouts: number) => void, done: () => boolean, best: () => object|null }}
+ */
+export const createSearch = (state, playerId, { level = 'medium', rng = createRng() } = {}) => {
+  const { playouts, epsilon } = AI_LEVELS[level] || AI_LEVELS.medium;
+  const moves = legalActions(state, playerId).map((action) => ({ action, visits: 0, total: 0 }));
+  // Playouts only need the game itself — drop the log and history to keep copies cheap
+  const root = { ...cloneState(state), log: [], history: null };
+  let done = moves.length <= 1 ? playouts : 0;
+
+  const pick = () => {
+    const untried = moves.find((m) => m.visits === 0);
+    if (untried) return untried;
+    const logN = Math.log(done);
+    let best = moves[0];
+    let bestScore = -Infinity;
+    for (const m of moves) {
+      const score = m.total / m.visits + EXPLORATION * Math.sqrt(logN / m.visits);
+      if (score > bestScore) { best = m; bestScore = score; }
+    }
+    return best;
+  };
+
+  return {
+    step: (count) => {
+      for (let i = 0; i < count && done < playouts; i++, done++) {
+        const move = pick();
+        const sampleRng = createRng(randInt(rng, 0, 0xffffffff));
+        const sample = { ...determinize(root, playerId, sampleRng), rng: sampleRng };
+        const { state: next } = applyAction(sample, move.action);
+        move.visits++;
+        move.total += playout(next, playerId, sample.rng, epsilon);
+      }
+    },
+    done: () => done >= playouts,
+    best: () => {
+      if (moves.length === 0) return null;
+      const mostVisited = moves.reduce((a, b) => (b.visits > a.visits ? b : a));
+      return { ...mostVisited.action, playerId };
+    },
+  };
+};
+
+/**
+ * Pick a move for `playerId` by searching to completion (blocking).
+ * Use inside a Web Worker, or searchActionAsync on a thread that must stay responsive.
+ * @param {object} state
+ * @param {number} playerId  must be the current player
+ * @param {{ level?: 'easy'|'medium'|'hard', rng?: object }} [options]
+ * @returns {object|null} an action for applyAction, or null if the player can't act
+ */
+export const searchAction = (state, playerId, options) => {
+  const search = createSearch(state, playerId, options);
+  while (!search.done()) search.step(PLAYOUTS_PER_SLICE);
+  return search.best();
+};
+
+/** Like searchAction, but yields to the event loop between slices of playouts. */
+export const searchActionAsync = async (state, playerId, options) => {
+  const search = createSearch(state, playerId, options);
+  while (!search.done()) {
+    search.step(PLAYOUTS_PER_SLICE);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+  return search.best();
+};
@@ -13,9 +13,12 @@ import {
   resolveTridentRoll,
   getMonsterPositions,
   allPlayersOnSub,
+  spaceValue,
+  hasMonster,
+  countMonsters,
+  handsAreSecret,
 } from './rules.js';
-import { STARTING_OXYGEN, TOTAL_ROUNDS, DEPTH_CHARGE_OXYGEN_COST, DEPTH_CHARGES_PER_ROUND, ANCHOR_COST, ANCHOR_MULTIPLIER, COOP_BOMB_COST } from '../infra/constants.js';
-import { createChips } from './gameState.js';
+import { winners } from './scoring.js';
 
 /* ── per-turn oxygen consumption ──────────────────────────── */
 
@@ -49,8 +52,9 @@ export const chooseDirection = (state, direction) => {
 
 export const buyAnchor = (state) => {
   const player = state.players[state.currentPlayerIndex];
-  // Deduct ANCHOR_COST value from scored chips (remove cheapest chips first)
-  let remaining = ANCHOR_COST;
+  const { anchorCost } = state.rules;
+  // Deduct the anchor cost from scored chips (remove cheapest chips first)
+  let remaining = anchorCost;
   // Sort scored by value ascending so we burn cheapest first
   player.scored.sort((a, b) => a.value - b.value);
   while (remaining > 0 && player.scored.length > 0) {
@@ -65,16 +69,16 @@ export const buyAnchor = (state) => {
     }
   }
   player.anchorActive = true;
-  addLog(state, `⚓ ${player.name} purchases an Anchor Boost! (spent ${ANCHOR_COST} value)`);
+  addLog(state, `⚓ ${player.name} purchases an Anchor Boost! (spent ${anchorCost} value)`);
   return state;
 };
 
 /** Co-op: Buy an anchor boost using the shared co-op score pool. */
 export const buyAnchorCoop = (state) => {
   const player = state.players[state.currentPlayerIndex];
-  state.coopScore -= ANCHOR_COST;
+  state.coopScore -= state.rules.anchorCost;
   player.anchorActive = true;
-  addLog(state, `⚓ ${player.name} purchases an Anchor Boost! (spent ${ANCHOR_COST} pts from team pool, pool → ${state.coopScore})`);
+  addLog(state, `⚓ ${player.name} purchases an Anchor Boost! (spent ${state.rules.anchorCost} pts from team pool, pool → ${state.coopScore})`);
   return state;
 };
 
@@ -83,11 +87,12 @@ export const buyAnchorCoop = (state) => {
 export const applyMovement = (state, diceTotal) => {
   const player = state.players[state.currentPlayerIndex];
   const occupied = occupiedBy(state.players, player.id);
+  const { anchorMultiplier } = state.rules;
 
   // Apply anchor multiplier if active
   let adjustedTotal = diceTotal;
   if (player.anchorActive) {
-    adjustedTotal = diceTotal * ANCHOR_MULTIPLIER;
+    adjustedTotal = diceTotal * anchorMultiplier;
     player.anchorActive = false; // consumed
   }
 
@@ -95,7 +100,7 @@ export const applyMovement = (state, diceTotal) => {
   const effectiveSteps = Math.max(1, adjustedTotal - player.carried.length);
 
   // In co-op monster mission, pass monster positions to block movement
-  const monsters = (state.coop && state.mission === 'monsters') ? getMonsterPositions(state.chips) : null;
+  const monsters = (state.coop && state.mission === 'monsters') ? getMonsterPositions(state.spaces) : null;
   const dest = computeDestination(player.position, effectiveSteps, player.direction, occupied, state.boardSize, monsters);
   const prevPos = player.position;
   player.position = dest;
@@ -105,6 +110,7 @@ export const applyMovement = (state, diceTotal) => {
 
   if (dest === -1) {
     // Returned to submarine — score carried chips
+    const banked = player.carried;
     if (state.coop) {
       // Co-op: add carried chip values to shared pool
       const value = player.carried.reduce((s, c) => s + c.value, 0);
@@ -114,10 +120,12 @@ export const applyMovement = (state, diceTotal) => {
       player.scored.push(...player.carried);
       player.carried = [];
     }
-    const anchorTag = adjustedTotal !== diceTotal ? ` ⚓×${ANCHOR_MULTIPLIER}→${adjustedTotal}` : '';
+    const anchorTag = adjustedTotal !== diceTotal ? ` ⚓×${anchorMultiplier}→${adjustedTotal}` : '';
     addLog(state, `${player.name} rolled ${diceTotal}${anchorTag} (moves ${effectiveSteps}) and returned to the submarine! 🚢`);
+    // Hide-carried: chips are turned over once they are safe (secret hand waits for the round's end)
+    if (state.rules.hideCarried && !state.rules.secretHand) revealChips(state, player, banked);
   } else {
-    const anchorTag = adjustedTotal !== diceTotal ? ` ⚓×${ANCHOR_MULTIPLIER}→${adjustedTotal}` : '';
+    const anchorTag = adjustedTotal !== diceTotal ? ` ⚓×${anchorMultiplier}→${adjustedTotal}` : '';
     addLog(state, `${player.name} rolled ${diceTotal}${anchorTag} (moves ${effectiveSteps}), lands on space ${dest}.`);
   }
 
@@ -130,25 +138,33 @@ export const applyMovement = (state, diceTotal) => {
 export const pickUpChip = (state) => {
   const player = state.players[state.currentPlayerIndex];
   const pos = player.position;
-  if (pos < 0 || state.chips[pos] === null) return state;
-  const chip = state.chips[pos];
-  chip.discovered = true;
-  player.carried.push(chip);
-  state.chips[pos] = null; // remove from board
-  addLog(state, `${player.name} picks up a level-${chip.level} chip from space ${pos}.`);
+  if (pos < 0 || state.spaces[pos].length === 0) return state;
+  const chips = state.spaces[pos];
+  player.carried.push(...chips); // the whole pile is taken at once
+  state.spaces[pos] = []; // remove from board
+  if (handsAreSecret(state.rules)) {
+    // Only the diver looks at the chips; everyone else sees them when they are banked or the round is scored
+    addLog(state, `${player.name} picks up ${describeChips(chips)} from space ${pos} and keeps ${chips.length === 1 ? 'its value' : 'their values'} secret.`);
+  } else {
+    for (const chip of chips) chip.discovered = true;
+    addLog(state, `${player.name} picks up ${describeChips(chips)} (${describeValues(chips)}) from space ${pos}.`);
+  }
   state.turnPhase = 'endTurn';
   return state;
 };
 
-export const dropChip = (state) => {
+/** Drop one carried chip (the most recently picked up unless `chipIndex` says otherwise). */
+export const dropChip = (state, chipIndex) => {
   const player = state.players[state.currentPlayerIndex];
   const pos = player.position;
   if (player.carried.length === 0 || pos < 0) return state;
-  if (state.chips[pos] !== null) return state; // space must be empty
-  // Drop the most recently picked-up chip
-  const chip = player.carried.pop();
-  state.chips[pos] = chip;
-  addLog(state, `${player.name} drops a level-${chip.level} chip on space ${pos}.`);
+  if (state.spaces[pos].length > 0) return state; // space must be empty
+  const index = chipIndex ?? player.carried.length - 1;
+  const [chip] = player.carried.splice(index, 1);
+  state.spaces[pos].push(chip);
+  addLog(state, handsAreSecret(state.rules) && !chip.discovered
+    ? `${player.name} drops a face-down level-${chip.level} chip on space ${pos}.`
+    : `${player.name} drops a level-${chip.level} chip (${chip.value}) on space ${pos}.`);
   state.turnPhase = 'endTurn';
   return state;
 };
@@ -158,25 +174,35 @@ export const skipPickup = (state) => {
   return state;
 };
 
+/* ── turn clock ───────────────────────────────────────────── */
+
+/** The current player's turn clock ran out; the default move follows. */
+export const timeOut = (state) => {
+  const player = state.players[state.currentPlayerIndex];
+  addLog(state, `⏰ ${player.name} ran out of time.`);
+  return state;
+};
+
 /* ── Depth Charge ─────────────────────────────────────────── */
 
 export const applyDepthCharge = (state) => {
   const player = state.players[state.currentPlayerIndex];
   const pos = player.position;
-  if (pos < 0 || state.chips[pos] === null || player.depthCharges <= 0) return state;
+  if (pos < 0 || state.spaces[pos].length === 0 || player.depthCharges <= 0) return state;
 
-  const chip = state.chips[pos];
-  const chipLevel = chip.level;
-  const chipValue = chip.value;
+  const chips = state.spaces[pos];
+  // With secret hands, face-down chips go down with their values unseen
+  const valueTag = handsAreSecret(state.rules) && chips.some((chip) => !chip.discovered) ? '' : ` (value: ${spaceValue(chips)})`;
+  const cost = state.rules.depthChargeOxygenCost;
 
-  // Destroy the chip
-  state.chips[pos] = null;
+  // Destroy every chip on the space
+  state.spaces[pos] = [];
   player.depthCharges -= 1;
 
   // Deduct oxygen cost
-  state.oxygen = Math.max(0, state.oxygen - DEPTH_CHARGE_OXYGEN_COST);
+  state.oxygen = Math.max(0, state.oxygen - cost);
 
-  addLog(state, `💣 ${player.name} detonates a Depth Charge! Destroys a level-${chipLevel} chip (value: ${chipValue}) on space ${pos}. Oxygen -${DEPTH_CHARGE_OXYGEN_COST} → ${state.oxygen}`);
+  addLog(state, `💣 ${player.name} detonates a Depth Charge! Destroys ${describeChips(chips)}${valueTag} on space ${pos}. Oxygen -${cost} → ${state.oxygen}`);
 
   state.turnPhase = 'endTurn';
   return state;
@@ -189,7 +215,7 @@ export const applyTridentAttack = (state, targetId) => {
   const target = state.players.find((p) => p.id === targetId);
   if (!target || target.dead || target.position < 0) return state;
 
-  const { roll, result } = resolveTridentRoll();
+  const { roll, result } = resolveTridentRoll(state.rng, state.rules);
 
   if (result === 'kill') {
     addLog(state, `🔱 ${attacker.name} attacks ${target.name} with Poseidon's Trident! Rolled ${roll} — ${target.name} is slain! ☠️`);
@@ -265,10 +291,15 @@ const advancePlayer = (state) => {
 export const endRound = (state) => {
   addLog(state, `--- Round ${state.round} is over! ---`);
 
-  // Players still underwater lose their carried chips
+  // Chips of divers still underwater sink to the bottom, deepest diver first
+  const sunken = state.players
+    .filter((p) => p.position >= 0)
+    .sort((a, b) => b.position - a.position)
+    .flatMap((p) => p.carried);
+
   for (const p of state.players) {
     if (p.position >= 0) {
-      // Diver drowned — chips sink to the bottom (removed from game)
+      // Diver drowned — chips sink to the bottom of the path
       if (p.carried.length > 0) {
         addLog(state, `${p.name} was underwater — loses ${p.carried.length} chip(s)!`);
       }
@@ -278,16 +309,29 @@ export const endRound = (state) => {
     p.position = -1;
     p.direction = 'down';
     p.dead = false;
-    p.depthCharges = DEPTH_CHARGES_PER_ROUND;
+    p.depthCharges = state.rules.depthChargesPerRound;
     p.anchorActive = false;
   }
 
-  // Compact the board: remove nulls, chips stay in order but gaps close
-  // In monster mode, keep monster chips in place (don't compact them away)
-  const remainingChips = state.chips.filter((c) => c !== null);
-  // Re-index so the board is dense again
-  state.chips = remainingChips.map((c, i) => ({ ...c, id: i }));
-  state.boardSize = state.chips.length;
+  // Secret hand: the chips banked this round are turned over for everyone
+  if (state.rules.secretHand) {
+    for (const p of state.players) revealChips(state, p, p.scored);
+  }
+
+  // Compact the board: remove empty spaces, chips stay in order but gaps close
+  // In monster mode, monster spaces are never empty so they stay in place
+  const remainingSpaces = state.spaces.filter((space) => space.length > 0);
+  // Sunken chips are piled in stacks (of three, by default) at the end of the path
+  const stackSize = state.rules.sunkenStackSize;
+  for (let i = 0; i < sunken.length; i += stackSize) {
+    remainingSpaces.push(sunken.slice(i, i + stackSize));
+  }
+  if (sunken.length > 0) {
+    const stacks = Math.ceil(sunken.length / stackSize);
+    addLog(state, `🪙 ${sunken.length} lost chip(s) sink to the bottom in ${stacks} stack(s).`);
+  }
+  state.spaces = remainingSpaces;
+  state.boardSize = state.spaces.length;
 
   // ── Co-op win/lose checks ──
   if (state.coop) {
@@ -301,7 +345,7 @@ export const endRound = (state) => {
       }
     } else if (state.mission === 'monsters') {
       // Count remaining monsters
-      const monstersLeft = state.chips.filter(c => c && c.monster).length;
+      const monstersLeft = countMonsters(state.spaces);
       state.monstersRemaining = monstersLeft;
       const allHome = state.players.every(p => p.position === -1);
       if (monstersLeft === 0 && allHome) {
@@ -322,18 +366,20 @@ export const endRound = (state) => {
       if (state.mission === 'treasure') {
         addLog(state, `💀 Mission failed! Team scored ${state.coopScore} / ${state.coopTarget} points.`);
       } else {
-        const monstersLeft = state.chips.filter(c => c && c.monster).length;
+        const monstersLeft = countMonsters(state.spaces);
         addLog(state, `💀 Mission failed! ${monstersLeft} monster(s) remain.`);
       }
     } else {
       determineWinner(state);
-      addLog(state, `🏆 Game over! Winner: ${state.winner}!`);
+      addLog(state, state.winner.length === 1
+        ? `🏆 Game over! Winner: ${state.winner[0]}!`
+        : `🏆 Game over! Shared win: ${state.winner.join(' & ')}!`);
     }
     return state;
   }
 
   state.round += 1;
-  state.oxygen = STARTING_OXYGEN;
+  state.oxygen = state.rules.startingOxygen;
   // Rotate starting player: round 1 → player 0, round 2 → player 1, etc.
   state.currentPlayerIndex = (state.round - 1) % state.players.length;
   state.turnPhase = 'direction';
@@ -353,10 +399,11 @@ export const playerScore = (player) =>
 /** Buy a bomb while on the submarine (costs from shared co-op pool). */
 export const buyBomb = (state) => {
   const player = state.players[state.currentPlayerIndex];
-  if (player.position !== -1 || state.coopScore < COOP_BOMB_COST) return state;
-  state.coopScore -= COOP_BOMB_COST;
+  const cost = state.rules.coopBombCost;
+  if (player.position !== -1 || state.coopScore < cost) return state;
+  state.coopScore -= cost;
   player.bombs = (player.bombs || 0) + 1;
-  addLog(state, `💣 ${player.name} buys a bomb! (cost: ${COOP_BOMB_COST} pts from team pool, pool → ${state.coopScore})`);
+  addLog(state, `💣 ${player.name} buys a bomb! (cost: ${cost} pts from team pool, pool → ${state.coopScore})`);
   return state;
 };
 
@@ -368,37 +415,44 @@ export const useBomb = (state) => {
   const pos = player.position;
   // Check pos+1 and pos-1 for monsters
   let targetPos = -1;
-  if (pos + 1 < state.boardSize && state.chips[pos + 1] && state.chips[pos + 1].monster) {
+  if (hasMonster(state.spaces[pos + 1])) {
     targetPos = pos + 1;
-  } else if (pos - 1 >= 0 && state.chips[pos - 1] && state.chips[pos - 1].monster) {
+  } else if (hasMonster(state.spaces[pos - 1])) {
     targetPos = pos - 1;
   }
   if (targetPos === -1) return state;
 
   // Destroy the monster
-  state.chips[targetPos] = null;
+  state.spaces[targetPos] = [];
   player.bombs -= 1;
-  state.monstersRemaining = state.chips.filter(c => c && c.monster).length;
+  state.monstersRemaining = countMonsters(state.spaces);
   addLog(state, `💥 ${player.name} bombs the sea monster on space ${targetPos}! 🐙💀 (${state.monstersRemaining} remaining)`);
   state.turnPhase = 'endTurn';
   return state;
 };
 
+/** Set state.winner to every first-place name (ties go to the rulebook tie-breaker first). */
 const determineWinner = (state) => {
-  let best = -1;
-  let winnerName = '';
-  for (const p of state.players) {
-    const s = playerScore(p);
-    if (s > best) {
-      best = s;
-      winnerName = p.name;
-    }
-  }
-  state.winner = winnerName;
+  state.winner = winners(state.players);
 };
 
 /* ── logging helper ───────────────────────────────────────── */
 
+/** Log wording for the chips on a space: a single chip or a stack. */
+const describeChips = (chips) =>
+  chips.length === 1 ? `a level-${chips[0].level} chip` : `a stack of ${chips.length} chips`;
+
+const describeValues = (chips) =>
+  chips.length === 1 ? `worth ${chips[0].value}` : `worth ${chips.map((c) => c.value).join(' + ')}`;
+
+/** Turn over the face-down chips among `chips` that `player` holds, logging their values. */
+const revealChips = (state, player, chips) => {
+  const hidden = chips.filter((chip) => !chip.discovered);
+  if (hidden.length === 0) return;
+  for (const chip of hidden) chip.discovered = true;
+  addLog(state, `🔍 ${player.name} reveals ${describeChips(hidden)} ${describeValues(hidden)}.`);
+};
+
 const addLog = (state, msg) => {
   state.log.push(msg);
 };
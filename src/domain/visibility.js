@@ -0,0 +1,50 @@
+/**
+ * What each viewer of a game may see.
+ *
+ * Chips lie face down until someone picks them up, so the value of an
+ * undiscovered chip must never leave the server. With the secret-hand rule,
+ * chips a diver picks up or banks stay face down for everyone else until the
+ * round is scored; only their owner sees them. With the hide-carried rule the
+ * same goes for carried chips, which are turned over once banked. The seed is
+ * hidden as well: with it, every chip value and future dice roll can be
+ * recomputed. Levels and chip counts stay visible, as they are on the
+ * physical board. Once the game is over nothing is secret any more.
+ */
+
+import { cloneState, seedLogLine } from './gameState.js';
+import { handsAreSecret } from './rules.js';
+
+const hideValue = (chip) => ({ ...chip, value: null });
+
+/**
+ * May `viewerId` see the value of a chip held (or banked) by player `ownerId`?
+ * Used by the HUD, where a local game holds the full state.
+ */
+export const chipVisible = (state, ownerId, chip, viewerId) =>
+  chip.value !== null && (!handsAreSecret(state.rules) || chip.discovered || ownerId === viewerId);
+
+/** Hide a chip's value unless it has been turned over. */
+const redactChip = (chip) => (chip.discovered ? chip : hideValue(chip));
+
+/**
+ * The state as one viewer sees it: undiscovered chip values, the rng and the
+ * seed are removed while the game is running.
+ * @param {object} state
+ * @param {number|null} viewerId  the viewer's player id, or null for a spectator
+ * @returns {object} a redacted copy (the original is untouched)
+ */
+export const projectState = (state, viewerId) => {
+  if (state.gameOver) return state;
+  const view = cloneState(state);
+  const seedLine = seedLogLine(state.rng.seed);
+  view.spaces = view.spaces.map((pile) => pile.map(redactChip));
+  view.players.forEach((p) => {
+    if (p.id === viewerId) return; // your own hand is always visible to you
+    p.carried = p.carried.map(redactChip);
+    p.scored = p.scored.map(redactChip);
+  });
+  view.rng = null;
+  view.history = null;
+  view.log = view.log.filter((line) => line !== seedLine);
+  return view;
+};
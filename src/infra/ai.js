@@ -0,0 +1,52 @@
+/**
+ * Browser entry point for the search AI (see src/domain/search.js).
+ * Moves are searched in a Web Worker so the page keeps rendering; where
+ * module workers are unavailable the search runs in slices on the main thread.
+ */
+
+import { searchActionAsync } from '../domain/search.js';
+import { createRng, randomSeed } from './rng.js';
+
+let worker = null;         // null = not started yet, false = unavailable
+let nextId = 0;
+const pending = new Map(); // request id → { resolve, args }
+
+const fallback = ({ state, playerId, level, seed }) =>
+  searchActionAsync(state, playerId, { level, rng: createRng(seed) });
+
+const getWorker = () => {
+  if (worker !== null) return worker;
+  if (typeof Worker === 'undefined') return (worker = false);
+  worker = new Worker(new URL('./aiWorker.js', import.meta.url), { type: 'module' });
+  worker.addEventListener('message', ({ data }) => {
+    const request = pending.get(data.id);
+    pending.delete(data.id);
+    if (request) request.resolve(data.action);
+  });
+  worker.addEventListener('error', () => {
+    // Worker failed to load or crashed — finish outstanding requests on this thread
+    worker.terminate();
+    worker = false;
+    for (const { resolve, args } of pending.values()) resolve(fallback(args));
+    pending.clear();
+  });
+  return worker;
+};
+
+/**
+ * Ask the AI for `playerId`'s next move.
+ * @param {object} state
+ * @param {number} playerId  must be the current player
+ * @param {'easy'|'medium'|'hard'} level
+ * @returns {Promise<object|null>} an action for applyAction
+ */
+export const requestAiMove = (state, playerId, level) => {
+  const args = { state, playerId, level, seed: randomSeed() };
+  const w = getWorker();
+  if (!w) return fallback(args);
+  const id = ++nextId;
+  return new Promise((resolve) => {
+    pending.set(id, { resolve, args });
+    w.postMessage({ id, ...args });
+  });
+};
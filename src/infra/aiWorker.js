@@ -0,0 +1,13 @@
+/**
+ * Web Worker that runs the search AI off the main thread.
+ * Receives { id, state, playerId, level, seed } and replies { id, action }.
+ */
+
+import { searchAction } from '../domain/search.js';
+import { createRng } from './rng.js';
+
+self.addEventListener('message', ({ data }) => {
+  const { id, state, playerId, level, seed } = data;
+  const action = searchAction(state, playerId, { level, rng: createRng(seed) });
+  self.postMessage({ id, action });
+});
@@ -29,6 +29,9 @@ export const LEVEL_VALUE_RANGES = {
 
 export const BOARD_SIZE = CHIP_LEVELS.length; // 32 spaces
 
+/** Chips per stack when a drowned diver's treasure sinks to the bottom of the path. */
+export const SUNKEN_STACK_SIZE = 3;
+
 /** Depth charges each player gets per round. */
 export const DEPTH_CHARGES_PER_ROUND = 1;
 
@@ -44,6 +47,15 @@ export const ANCHOR_MULTIPLIER = 5;
 /** Player colours for rendering. */
 export const PLAYER_COLORS = ['#e74c3c', '#3498db', '#2ecc71', '#f1c40f', '#9b59b6', '#e67e22'];
 
+/** Pause before a computer-controlled diver acts (ms). */
+export const BOT_TURN_DELAY_MS = 900;
+
+/** Longer pause after a move that shows an overlay, so it can be read first (ms). */
+export const BOT_EVENT_DELAY_MS = 2200;
+
+/** Turn clock choices for online rooms: seconds per phase of a turn (0 = no clock). */
+export const TURN_CLOCK_SECONDS = [0, 15, 30, 60, 120];
+
 /* ── Co-op constants ──────────────────────────────────────── */
 
 /** Points required per player for the Treasure Haul mission. */
@@ -51,3 +63,43 @@ export const COOP_TREASURE_PER_PLAYER = 30;
 
 /** Cost (in shared score) to buy a bomb in Monster Hunt mission. */
 export const COOP_BOMB_COST = 20;
+
+/* ── Rule sets ────────────────────────────────────────────── */
+
+/**
+ * The standard rule set. A game's rules are these values with any overrides
+ * applied (see resolveRules in src/domain/gameState.js), stored in state.rules.
+ */
+export const DEFAULT_RULES = Object.freeze({
+  startingOxygen: STARTING_OXYGEN,
+  totalRounds: TOTAL_ROUNDS,
+  chipLevels: CHIP_LEVELS,
+  levelValueRanges: LEVEL_VALUE_RANGES,
+  sunkenStackSize: SUNKEN_STACK_SIZE,
+  depthChargesPerRound: DEPTH_CHARGES_PER_ROUND,
+  depthChargeOxygenCost: DEPTH_CHARGE_OXYGEN_COST,
+  anchorCost: ANCHOR_COST,
+  anchorMultiplier: ANCHOR_MULTIPLIER,
+  tridentKillMin: 5,      // trident d6 roll at or above this slays the target
+  tridentBackfireMax: 1,  // trident d6 roll at or below this kills the attacker
+  coopTreasurePerPlayer: COOP_TREASURE_PER_PLAYER,
+  coopBombCost: COOP_BOMB_COST,
+  secretHand: false,      // carried and banked chip values stay private until the round is scored
+  hideCarried: false,     // carried chip values stay private until the diver banks them
+});
+
+/** Named variants selectable in the setup screens (overrides of DEFAULT_RULES). */
+export const RULE_PRESETS = {
+  standard: { label: 'Standard', rules: {} },
+  short: {
+    label: 'Short game',
+    rules: {
+      totalRounds: 2,
+      startingOxygen: 20,
+      chipLevels: [1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 2, 2, 3, 3, 3, 3, 3, 3, 4, 4, 4, 4, 4, 4],
+    },
+  },
+  highOxygen: { label: 'High oxygen', rules: { startingOxygen: 35 } },
+  brutalTrident: { label: 'Brutal trident', rules: { tridentKillMin: 3 } },
+  secretHand: { label: 'Secret hand', rules: { secretHand: true } },
+};
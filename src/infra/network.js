@@ -1,80 +1,233 @@
 /**
  * WebSocket client wrapper for multiplayer communication.
  * Provides a thin API to connect, send actions, and receive state updates.
+ * If the connection drops while we hold a seat, it reconnects with backoff
+ * and resumes the seat using the server's reconnect token.
+ * Messages both ways are checked against the shared protocol (protocol.js).
+ * The game state arrives once in full and then as numbered patches, which
+ * are applied here; after a gap we ask the server for the full state again.
  */
 
+import { saveSession, loadSession, clearSession } from './storage.js';
+import { PROTOCOL_VERSION, checkClientMessage, checkServerMessage } from './protocol.js';
+import { applyPatch } from './patch.js';
+
+const RECONNECT_BASE_MS = 500;      // first retry delay, doubled each attempt
+const RECONNECT_MAX_MS = 8000;      // cap on the retry delay
+const MAX_RECONNECT_ATTEMPTS = 10;  // then give up and report the connection lost
+
 let ws = null;
+let session = null;          // { code, token } of the seat we hold
+let reconnectAttempt = 0;    // 0 = connected (or never dropped)
+let reconnectTimer = null;
+let syncSeq = 0;             // seq of the last state update applied on this connection
+let syncState = null;        // the state it left us with (what the next patch applies to)
+let resyncing = false;       // a patch went missing; waiting for the full state
 let onState = null;      // (state, playerId, event) => void
-let onLobby = null;      // ({ code, names, you }) => void
-let onError = null;      // (message) => void
+let onLobby = null;      // ({ code, names, watchers, you, host, hostName, locked, spectator }) => void
+let onError = null;      // (message, code) => void — code is set for rejected game actions
 let onCreated = null;    // (code) => void
-let onDisconnect = null; // (name) => void
+let onDisconnect = null; // (name, graceMs) => void — a player dropped mid-game
+let onReplaced = null;   // (name) => void — an AI now plays the dropped player's seat
+let onReturned = null;   // (name) => void — the dropped player reconnected
+let onReconnecting = null; // (attempt, delayMs) => void — our connection dropped, retrying
+let onReconnect = null;  // () => void — our seat was resumed
+let onWatchers = null;   // (names) => void — spectators in a running game changed
+let onHostChanged = null; // (name) => void — the host left and `name` took over
+let onRemoved = null;    // (message) => void — the host removed us, or the room was closed
+let onClock = null;      // ({ playerId, remainingMs, totalMs } | null) => void — turn clock for the current phase
 let onClose = null;      // () => void
 
 /* ── connection ───────────────────────────────────────────── */
 
 export const connect = (callbacks) => {
+  onState        = callbacks.onState        || (() => {});
+  onLobby        = callbacks.onLobby        || (() => {});
+  onError        = callbacks.onError        || (() => {});
+  onCreated      = callbacks.onCreated      || (() => {});
+  onDisconnect   = callbacks.onDisconnect   || (() => {});
+  onReplaced     = callbacks.onReplaced     || (() => {});
+  onReturned     = callbacks.onReturned     || (() => {});
+  onReconnecting = callbacks.onReconnecting || (() => {});
+  onReconnect    = callbacks.onReconnect    || (() => {});
+  onWatchers     = callbacks.onWatchers     || (() => {});
+  onHostChanged  = callbacks.onHostChanged  || (() => {});
+  onRemoved      = callbacks.onRemoved      || (() => {});
+  onClock        = callbacks.onClock        || (() => {});
+  onClose        = callbacks.onClose        || (() => {});
+
+  clearTimeout(reconnectTimer);
+  session = null;
+  reconnectAttempt = 0;
+  return openSocket();
+};
+
+/**
+ * Reconnect to the seat saved in this tab (e.g. after a page reload).
+ * Resolves false if there is nothing to resume.
+ */
+export const resumeSavedSession = async (callbacks) => {
+  const saved = loadSession();
+  if (!saved) return false;
+  await connect(callbacks);
+  session = saved;
+  send({ type: 'resume', ...saved });
+  return true;
+};
+
+const openSocket = () => {
   const protocol = location.protocol === 'https:' ? 'wss' : 'ws';
   const url = `${protocol}://${location.host}`;
 
-  onState      = callbacks.onState      || (() => {});
-  onLobby      = callbacks.onLobby      || (() => {});
-  onError      = callbacks.onError      || (() => {});
-  onCreated    = callbacks.onCreated    || (() => {});
-  onDisconnect = callbacks.onDisconnect || (() => {});
-  onClose      = callbacks.onClose      || (() => {});
-
   return new Promise((resolve, reject) => {
-    ws = new WebSocket(url);
+    const socket = new WebSocket(url);
+    ws = socket;
+    syncSeq = 0; // a new connection starts with a full state
+    syncState = null;
+    resyncing = false;
 
-    ws.addEventListener('open', () => resolve());
-    ws.addEventListener('error', () => reject(new Error('WebSocket connection failed')));
+    socket.addEventListener('open', () => {
+      send({ type: 'hello', version: PROTOCOL_VERSION });
+      resolve();
+    });
+    socket.addEventListener('error', () => reject(new Error('WebSocket connection failed')));
 
-    ws.addEventListener('message', (e) => {
-      let msg;
-      try { msg = JSON.parse(e.data); } catch { return; }
+    socket.addEventListener('message', (e) => {
+      let data;
+      try { data = JSON.parse(e.data); } catch { return; }
+      const { message: msg, error } = checkServerMessage(data);
+      if (error) return; // not a message of our protocol version: ignore it
 
       switch (msg.type) {
+        case 'welcome':
+          break;
         case 'state':
-          onState(msg.state, msg.playerId, msg.event || {});
+          resyncing = false;
+          acceptState(msg, msg.state);
           break;
+        case 'patch': {
+          if (resyncing) break; // patches against a state we don't have
+          let next = null;
+          if (syncState && msg.seq === syncSeq + 1) {
+            try { next = applyPatch(syncState, msg.patch); } catch { next = null; }
+          }
+          if (next) acceptState(msg, next);
+          else requestResync();
+          break;
+        }
         case 'lobby':
           onLobby(msg);
           break;
         case 'created':
           onCreated(msg.code);
           break;
-        case 'error':
+        case 'session':
+          session = { code: msg.code, token: msg.token };
+          saveSession(session);
+          if (reconnectAttempt > 0) { reconnectAttempt = 0; onReconnect(); }
+          break;
+        case 'resume-failed':
+          session = null;
+          clearSession();
           onError(msg.message);
           break;
+        case 'error':
+          if (msg.code === 'VERSION_MISMATCH') disconnect(); // reconnecting won't help; a reload will
+          onError(msg.message, msg.code);
+          break;
         case 'player-disconnected':
-          onDisconnect(msg.name);
+          onDisconnect(msg.name, msg.graceMs);
+          break;
+        case 'player-replaced':
+          onReplaced(msg.name);
+          break;
+        case 'player-returned':
+          onReturned(msg.name);
+          break;
+        case 'watchers':
+          onWatchers(msg.names);
+          break;
+        case 'clock':
+          onClock(msg.clock || null);
+          break;
+        case 'host-changed':
+          onHostChanged(msg.name);
+          break;
+        case 'kicked':
+        case 'room-closed':
+          disconnect(); // our seat is gone; don't try to resume it
+          onRemoved(msg.message);
           break;
       }
     });
 
-    ws.addEventListener('close', () => {
-      onClose();
+    socket.addEventListener('close', () => {
+      if (socket !== ws) return; // replaced by a newer connection
+      if (session) scheduleReconnect();
+      else onClose();
     });
   });
 };
 
+/** A state update arrived (full or patched): remember it and hand it on. */
+const acceptState = (msg, state) => {
+  syncSeq = msg.seq;
+  syncState = state;
+  onClock(msg.clock || null); // before onState, so the re-render shows the new clock
+  onState(state, msg.playerId, msg.event || {});
+};
+
+/** We missed a patch (or it didn't fit): ignore patches until the full state comes back. */
+const requestResync = () => {
+  resyncing = true;
+  send({ type: 'resync' });
+};
+
+/** Retry with exponential backoff, resuming our seat once the socket opens. */
+const scheduleReconnect = () => {
+  if (reconnectAttempt >= MAX_RECONNECT_ATTEMPTS) {
+    session = null;
+    clearSession();
+    onClose();
+    return;
+  }
+  const delay = Math.min(RECONNECT_BASE_MS * 2 ** reconnectAttempt, RECONNECT_MAX_MS);
+  reconnectAttempt++;
+  onReconnecting(reconnectAttempt, delay);
+  reconnectTimer = setTimeout(async () => {
+    try { await openSocket(); } catch { return; } // its close event schedules the next attempt
+    if (session) send({ type: 'resume', ...session });
+  }, delay);
+};
+
 /* ── send helpers ─────────────────────────────────────────── */
 
 const send = (msg) => {
-  if (ws && ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(msg));
+  const { message, error } = checkClientMessage(msg);
+  if (error) { onError(error.message, error.code); return; }
+  if (ws && ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
 };
 
-export const createRoom = (name) => send({ type: 'create', name });
-export const createCoopRoom = (name, mission) => send({ type: 'create', name, coop: true, mission });
+export const createRoom = (name, variant) => send({ type: 'create', name, variant });
+export const createCoopRoom = (name, mission, variant) => send({ type: 'create', name, coop: true, mission, variant });
 export const joinRoom = (code, name) => send({ type: 'join', code, name });
+export const watchRoom = (code, name) => send({ type: 'join', code, name, spectator: true });
+export const addAiPlayer = (level) => send({ type: 'add-ai', level });
+export const setTurnClock = (seconds) => send({ type: 'set-clock', seconds });
+export const kickPlayer = (name) => send({ type: 'kick', name });
+export const moveSeat = (name, to) => send({ type: 'move-seat', name, to });
+export const lockRoom = (locked) => send({ type: 'lock', locked });
 export const startOnlineGame = () => send({ type: 'start' });
 export const restartOnlineGame = () => send({ type: 'restart' });
 
 export const sendAction = (action, payload = {}) =>
   send({ type: 'action', action, payload });
 
+/** Leave on purpose: forget the seat so we don't reconnect. */
 export const disconnect = () => {
+  clearTimeout(reconnectTimer);
+  session = null;
+  clearSession();
   if (ws) { ws.close(); ws = null; }
 };
 
@@ -0,0 +1,84 @@
+/**
+ * State patches for online games, shared by server.js and network.js.
+ *
+ * After the first full state the server only sends what changed: a patch is
+ * a list of operations on paths into the state (arrays of keys and indices).
+ * Arrays that only grow, like the log, become a single 'append'.
+ *
+ *   { op: 'set', path, value }       — replace or add a value
+ *   { op: 'delete', path }           — remove an object key
+ *   { op: 'append', path, values }   — push values onto an array
+ *   { op: 'truncate', path, length } — shorten an array
+ */
+
+export const PATCH_OPS = ['set', 'delete', 'append', 'truncate'];
+
+const isContainer = (v) => v !== null && typeof v === 'object';
+
+const diff = (prev, next, path, patch) => {
+  if (prev === next) return;
+  if (!isContainer(prev) || !isContainer(next) || Array.isArray(prev) !== Array.isArray(next)) {
+    patch.push({ op: 'set', path, value: next });
+    return;
+  }
+  if (Array.isArray(prev)) {
+    if (next.length < prev.length) patch.push({ op: 'truncate', path, length: next.length });
+    const common = Math.min(prev.length, next.length);
+    for (let i = 0; i < common; i++) diff(prev[i], next[i], [...path, i], patch);
+    if (next.length > prev.length) patch.push({ op: 'append', path, values: next.slice(prev.length) });
+    return;
+  }
+  for (const key of Object.keys(prev)) {
+    if (!Object.hasOwn(next, key)) patch.push({ op: 'delete', path: [...path, key] });
+  }
+  for (const key of Object.keys(next)) diff(prev[key], next[key], [...path, key], patch);
+};
+
+/**
+ * The operations that turn `prev` into `next` (plain JSON values).
+ * @returns {object[]} the patch; empty if nothing changed
+ */
+export const diffState = (prev, next) => {
+  const patch = [];
+  diff(prev, next, [], patch);
+  return patch;
+};
+
+const copyOf = (value) => (Array.isArray(value) ? [...value] : { ...value });
+
+/**
+ * Apply a patch from diffState. The input is left untouched: objects and
+ * arrays along the patched paths are copied, everything else is shared.
+ * Throws if a path doesn't fit the state (the patch was made for another one).
+ * @returns {object} the patched state
+ */
+export const applyPatch = (state, patch) => {
+  const doc = { root: state };
+  const copied = new Set();
+  // The container at `path`, copied (once per patch) along with every container above it
+  const writable = (path) => {
+    let node = doc;
+    for (const key of path) {
+      if (!isContainer(node[key])) throw new Error(`Patch path ${path.slice(1).join('.')} does not fit the state`);
+      if (!copied.has(node[key])) {
+        node[key] = copyOf(node[key]);
+        copied.add(node[key]);
+      }
+      node = node[key];
+    }
+    return node;
+  };
+
+  for (const { op, path, value, values, length } of patch) {
+    const full = ['root', ...path];
+    const key = full[full.length - 1];
+    switch (op) {
+      case 'set':      writable(full.slice(0, -1))[key] = value; break;
+      case 'delete':   delete writable(full.slice(0, -1))[key]; break;
+      case 'append':   writable(full).push(...values); break;
+      case 'truncate': writable(full).length = length; break;
+      default:         throw new Error(`Unknown patch op ${op}`);
+    }
+  }
+  return doc.root;
+};
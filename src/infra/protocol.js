@@ -0,0 +1,184 @@
+/**
+ * WebSocket protocol shared by server.js and the browser client (network.js),
+ * so the two cannot drift apart.
+ *
+ * Every message is a JSON object with a `type`. A client opens each
+ * connection with { type: 'hello', version: PROTOCOL_VERSION }; the server
+ * answers 'welcome', or a VERSION_MISMATCH error and closes the connection.
+ * Both sides check every message against the schemas below: a message with
+ * an unknown type or a bad field is rejected with a typed error, and fields
+ * a schema doesn't list are dropped.
+ *
+ * Game state arrives as one full 'state' and then 'patch' messages holding
+ * only the changes (see patch.js). Both carry a `seq` that counts the updates
+ * on the connection; a client that misses one sends 'resync' and gets the
+ * full state again.
+ */
+
+import { RULE_PRESETS, TURN_CLOCK_SECONDS } from './constants.js';
+import { ACTION_TYPES } from '../domain/actions.js';
+import { AI_LEVELS } from '../domain/search.js';
+import { PATCH_OPS } from './patch.js';
+
+/** Bump whenever a schema changes; clients of another version are turned away. */
+export const PROTOCOL_VERSION = 3;
+
+/** Longest player name (matches the name inputs' maxlength). */
+export const MAX_NAME_LENGTH = 12;
+
+/* ── errors ───────────────────────────────────────────────── */
+
+/**
+ * Error codes the server sends as { type: 'error', code, message } (next to
+ * the ACTION_ERRORS codes of rejected game actions), with their default message.
+ */
+export const PROTOCOL_ERRORS = Object.freeze({
+  BAD_JSON:           'Malformed message.',
+  UNKNOWN_TYPE:       'Unknown message type.',
+  INVALID_FIELD:      'Invalid message.',
+  HELLO_REQUIRED:     'Connect with a hello message first.',
+  VERSION_MISMATCH:   'The server has been updated — please reload the page.',
+  ROOM_NOT_FOUND:     'Room not found.',
+  ROOM_LOCKED:        'The host has locked this room.',
+  ROOM_FULL:          'Room is full.',
+  NAME_TAKEN:         'Name already taken.',
+  GAME_STARTED:       'Game already started.',
+  GAME_NOT_OVER:      'Only a finished game can be restarted.',
+  HOST_ONLY:          'Only the host can do that.',
+  NOT_ENOUGH_PLAYERS: 'Not enough players.',
+  NO_SUCH_PLAYER:     'No such player.',
+  NO_SUCH_SEAT:       'No such seat.',
+  CANNOT_KICK_SELF:   "You can't remove yourself.",
+  SPECTATOR:          'Spectators cannot make moves.',
+  INVALID_NAME:       'That name has no visible characters.',
+  ALREADY_IN_ROOM:    'You are already in a room.',
+  RATE_LIMITED:       'Too many messages — slow down.',
+  SERVER_FULL:        'The server has no room for new games right now — try again later.',
+  CONNECTION_LIMIT:   'Too many connections from your network.',
+});
+
+/** Build the { code, message } error object for an error code (optionally with a more specific message). */
+export const protocolError = (code, message = PROTOCOL_ERRORS[code]) => ({ code, message });
+
+/* ── names ────────────────────────────────────────────────── */
+
+/**
+ * Tidy a player name before anyone else sees it: whitespace runs become one
+ * space; control and invisible formatting characters (bidi overrides, zero
+ * width spaces — but not the joiner inside emoji) and < > & " ' ` are
+ * dropped. Returns '' if nothing printable is left.
+ */
+export const cleanName = (name) => name
+  .normalize('NFC')
+  .replace(/\s+/g, ' ')
+  .replace(/[\p{Cc}\p{Cf}<>&"'`]/gu, (ch) => (ch === '\u200d' ? ch : ''))
+  .trim();
+
+/* ── field checks ─────────────────────────────────────────── */
+
+const optional = (check) => (v) => v === undefined || check(v);
+const isBool = (v) => typeof v === 'boolean';
+const isInt = (v) => Number.isInteger(v);
+const isCount = (v) => Number.isInteger(v) && v >= 0;
+const isText = (max) => (v) => typeof v === 'string' && v.length <= max;
+const oneOf = (values) => (v) => values.includes(v);
+const isObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+const isPlayerName = (v) => typeof v === 'string' && v.length <= MAX_NAME_LENGTH;
+const isSeatName = isText(40); // players and AI seats ("🤖 AI Medium 2")
+const isRoomCode = (v) => typeof v === 'string' && /^[A-Za-z0-9]{4}$/.test(v);
+const isToken = isText(64);
+const isNameList = (v) => Array.isArray(v) && v.every((n) => typeof n === 'string');
+const isPlayerId = (v) => v === null || isCount(v);
+const isPath = (v) => Array.isArray(v) && v.every((key) => isCount(key) || typeof key === 'string');
+const isPatch = (v) => Array.isArray(v) && v.every((op) => isObject(op) && oneOf(PATCH_OPS)(op.op) && isPath(op.path));
+const isClock = (v) => v === null || (isObject(v) && isCount(v.playerId) && isCount(v.remainingMs) && isCount(v.totalMs));
+
+/** Parameters of a game action (see applyAction). */
+const isActionPayload = (v) => isObject(v)
+  && optional(oneOf(['up', 'down']))(v.direction)
+  && optional(isCount)(v.targetId)
+  && optional(isCount)(v.chipIndex)
+  && optional(isBool)(v.autoRoll);
+
+/* ── schemas ──────────────────────────────────────────────── */
+// One entry per message type: field name → check. Every listed field is
+// checked (wrap optional ones in `optional`); unlisted fields are dropped.
+
+/** Messages a client may send. */
+export const CLIENT_MESSAGES = {
+  'hello':     { version: isInt },
+  'create':    {
+    name: isPlayerName,
+    coop: optional(isBool),
+    mission: optional(oneOf(['treasure', 'monsters'])),
+    variant: optional((v) => Object.hasOwn(RULE_PRESETS, v)),
+    turnSeconds: optional(oneOf(TURN_CLOCK_SECONDS)),
+  },
+  'join':      { code: isRoomCode, name: isPlayerName, spectator: optional(isBool) },
+  'resume':    { code: isRoomCode, token: isToken },
+  'add-ai':    { level: (v) => Object.hasOwn(AI_LEVELS, v) },
+  'set-clock': { seconds: oneOf(TURN_CLOCK_SECONDS) },
+  'kick':      { name: isSeatName },
+  'move-seat': { name: isSeatName, to: isCount },
+  'lock':      { locked: isBool },
+  'start':     {},
+  'action':    { action: oneOf(ACTION_TYPES), payload: optional(isActionPayload) },
+  'restart':   {},
+  'resync':    {},
+};
+
+/** Messages the server sends. */
+export const SERVER_MESSAGES = {
+  'welcome':             { version: isInt },
+  'created':             { code: isRoomCode },
+  'session':             { code: isRoomCode, token: isToken },
+  'resume-failed':       { message: isText(200) },
+  'error':               { code: isText(40), message: isText(200) },
+  'state':               { seq: isCount, state: isObject, playerId: isPlayerId, event: isObject, clock: isClock },
+  'patch':               { seq: isCount, patch: isPatch, playerId: isPlayerId, event: isObject, clock: isClock },
+  'lobby':               {
+    code: isRoomCode,
+    names: isNameList,
+    watchers: isNameList,
+    you: isText(40),
+    host: isBool,
+    hostName: (v) => v === null || isText(40)(v),
+    locked: isBool,
+    spectator: isBool,
+    coop: isBool,
+    mission: (v) => v === null || oneOf(['treasure', 'monsters'])(v),
+    variant: isText(40),
+    turnSeconds: isCount,
+  },
+  'watchers':            { names: isNameList },
+  'clock':               { clock: isClock },
+  'player-disconnected': { name: isText(40), graceMs: isCount },
+  'player-replaced':     { name: isText(40) },
+  'player-returned':     { name: isText(40) },
+  'host-changed':        { name: isText(40) },
+  'kicked':              { message: isText(200) },
+  'room-closed':         { message: isText(200) },
+};
+
+/* ── validation ───────────────────────────────────────────── */
+
+const checkMessage = (schemas, msg) => {
+  if (!isObject(msg) || !Object.hasOwn(schemas, msg.type)) return { error: protocolError('UNKNOWN_TYPE') };
+  const message = { type: msg.type };
+  for (const [field, check] of Object.entries(schemas[msg.type])) {
+    if (!check(msg[field])) return { error: protocolError('INVALID_FIELD', `Invalid ${field} in ${msg.type} message.`) };
+    if (msg[field] !== undefined) message[field] = msg[field];
+  }
+  return { message };
+};
+
+/**
+ * Check a message from a client against CLIENT_MESSAGES.
+ * @param {any} msg  parsed JSON
+ * @returns {{ message: object } | { error: { code: string, message: string } }}
+ *   the message with unlisted fields dropped, or why it was rejected
+ */
+export const checkClientMessage = (msg) => checkMessage(CLIENT_MESSAGES, msg);
+
+/** Check a message from the server against SERVER_MESSAGES (same result shape as checkClientMessage). */
+export const checkServerMessage = (msg) => checkMessage(SERVER_MESSAGES, msg);
@@ -1,11 +1,91 @@
-/** Dice helpers – Dive, Laugh, Love uses two dice each showing 1-2-3-1-2-3. */
+/**
+ * Seedable random numbers – every bit of game randomness (chip values, dice,
+ * trident rolls) is drawn from an rng object carried in the game state, so a
+ * seed plus the same actions always reproduces the same game.
+ *
+ * Local games use a 32-bit seed (mulberry32), short enough to type into the
+ * URL. Online rooms keep their seed secret, and a 32-bit one could be found
+ * by trying every seed against the rolls and chip values the players see, so
+ * they use a 128-bit seed from the platform's secure random source (sfc32).
+ *
+ * Dive, Laugh, Love uses two dice each showing 1-2-3-1-2-3.
+ */
+
+/** Pick a fresh random seed (unsigned 32-bit integer). */
+export const randomSeed = () => Math.floor(Math.random() * 0x100000000) >>> 0;
+
+/** Pick a fresh 128-bit seed (32 hex digits) that can't be guessed. */
+export const randomWideSeed = () =>
+  Array.from(globalThis.crypto.getRandomValues(new Uint32Array(4)), (n) => n.toString(16).padStart(8, '0')).join('');
+
+const WIDE_SEED = /^[0-9a-f]{32}$/;
+
+/**
+ * Turn a user-supplied seed into an unsigned 32-bit integer.
+ * Numbers (or numeric strings) are used as-is; other strings are hashed (FNV-1a).
+ */
+export const normalizeSeed = (seed) => {
+  if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0;
+  const text = String(seed).trim();
+  if (/^\d+$/.test(text)) return Number(text) >>> 0;
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Create an rng object for the given seed (random if omitted). A seed from
+ * randomWideSeed gets the 128-bit generator, anything else the 32-bit one.
+ * It is plain JSON so it survives cloning, storage and network transfer.
+ */
+export const createRng = (seed) => {
+  if (typeof seed === 'string' && WIDE_SEED.test(seed)) {
+    const rng = { seed, state: [0, 8, 16, 24].map((i) => parseInt(seed.slice(i, i + 8), 16)) };
+    for (let i = 0; i < 12; i++) nextFloat(rng); // mix the seed's words before the first draw
+    return rng;
+  }
+  const s = seed === undefined || seed === null || seed === '' ? randomSeed() : normalizeSeed(seed);
+  return { seed: s, state: s };
+};
+
+/** Next float in [0, 1). Advances rng.state in place. */
+export const nextFloat = (rng) => (Array.isArray(rng.state) ? sfc32(rng) : mulberry32(rng));
+
+/** Have `a` and `b` (copies of one rng) drawn the same number of values? */
+export const sameRngState = (a, b) => String(a.state) === String(b.state);
+
+const mulberry32 = (rng) => {
+  rng.state = (rng.state + 0x6d2b79f5) >>> 0;
+  let t = rng.state;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const sfc32 = (rng) => {
+  let [a, b, c, d] = rng.state;
+  const t = (((a + b) | 0) + d) | 0;
+  d = (d + 1) | 0;
+  a = b ^ (b >>> 9);
+  b = (c + (c << 3)) | 0;
+  c = (c << 21) | (c >>> 11);
+  c = (c + t) | 0;
+  rng.state = [a >>> 0, b >>> 0, c >>> 0, d >>> 0];
+  return (t >>> 0) / 4294967296;
+};
+
+/** Random integer in [min, max] inclusive. */
+export const randInt = (rng, min, max) => Math.floor(nextFloat(rng) * (max - min + 1)) + min;
 
 /** Roll a single die (1, 2, or 3 with equal probability). */
-export const rollDie = () => Math.floor(Math.random() * 3) + 1;
+export const rollDie = (rng) => randInt(rng, 1, 3);
 
 /** Roll two dice and return { die1, die2, total }. */
-export const rollDice = () => {
-  const die1 = rollDie();
-  const die2 = rollDie();
+export const rollDice = (rng) => {
+  const die1 = rollDie(rng);
+  const die2 = rollDie(rng);
   return { die1, die2, total: die1 + die2 };
 };
@@ -1,4 +1,4 @@
-/** Lightweight localStorage adapter for optional save/load. */
+/** Lightweight browser storage adapter: optional save/load (localStorage) and the online session (sessionStorage). */
 
 const STORAGE_KEY = 'dive_laugh_love_save';
 
@@ -22,3 +22,29 @@ export const clearSave = () => {
     localStorage.removeItem(STORAGE_KEY);
   } catch { /* silently ignore */ }
 };
+
+/* ── online session (per browser tab) ─────────────────────── */
+
+const SESSION_KEY = 'dive_laugh_love_session';
+
+/** Remember the room code and reconnect token so a reload can resume the seat. */
+export const saveSession = (session) => {
+  try {
+    sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  } catch { /* silently ignore */ }
+};
+
+export const loadSession = () => {
+  try {
+    const raw = sessionStorage.getItem(SESSION_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+};
+
+export const clearSession = () => {
+  try {
+    sessionStorage.removeItem(SESSION_KEY);
+  } catch { /* silently ignore */ }
+};
@@ -3,11 +3,15 @@
  * Wires up mode selection, local setup, online lobby, and game rendering.
  */
 
-import { startGame, startCoopGame, getState, receiveState, setMode, getMode, isMyTurn, setRenderCallback } from './app/gameController.js';
+import { startGame, startCoopGame, getState, receiveState, setMode, getMode, getMyPlayerId, isMyTurn, isSpectator, isBotTurn, setRenderCallback, setActionErrorCallback, SEAT_CONTROLLERS } from './app/gameController.js';
 import { renderBoard } from './ui/renderBoard.js';
-import { renderHud, renderGameLog } from './ui/renderHud.js';
+import { renderHud, renderGameLog, renderTurnClock } from './ui/renderHud.js';
 import { bindControls } from './ui/bindControls.js';
-import { connect, createRoom, createCoopRoom, joinRoom, startOnlineGame, restartOnlineGame, disconnect } from './infra/network.js';
+import { connect, resumeSavedSession, createRoom, createCoopRoom, joinRoom, watchRoom, addAiPlayer, setTurnClock, kickPlayer, moveSeat, lockRoom, startOnlineGame, restartOnlineGame, disconnect } from './infra/network.js';
+import { RULE_PRESETS, TURN_CLOCK_SECONDS } from './infra/constants.js';
+import { AI_LEVELS } from './domain/search.js';
+import { chipVisible } from './domain/visibility.js';
+import { ACTION_ERRORS } from './domain/actions.js';
 
 const $board    = document.getElementById('board');
 const $hud      = document.getElementById('hud');
@@ -20,6 +24,133 @@ const $modeTypeSelect = document.getElementById('mode-type-select');
 const $lobby    = document.getElementById('lobby');
 const $coopLobby = document.getElementById('coop-lobby');
 
+/** Rejected game moves (shown as a toast); other server errors belong to the lobby screens. */
+const isActionError = (code) => Object.hasOwn(ACTION_ERRORS, code ?? '');
+
+/** Optional fixed game seed from the URL (e.g. ?seed=1234) for bug reports and replays (local games only). */
+const urlSeed = new URLSearchParams(location.search).get('seed') || undefined;
+
+/* ── Rule variants ────────────────────────────────────────── */
+
+// Fill every rules dropdown from the shared presets
+document.querySelectorAll('.rules-select').forEach((select) => {
+  select.innerHTML = Object.entries(RULE_PRESETS)
+    .map(([key, { label }]) => `<option value="${key}">${label}</option>`)
+    .join('');
+});
+
+/** Rule overrides for the preset chosen in the given dropdown. */
+const selectedRules = (selectId) => {
+  const preset = RULE_PRESETS[document.getElementById(selectId).value];
+  return preset ? preset.rules : {};
+};
+
+/** Lobby text for a room's rule variant. */
+const rulesLabel = (variant) => `Rules: ${(RULE_PRESETS[variant] || RULE_PRESETS.standard).label}`;
+
+/* ── Seat controllers (human, bot or AI) ──────────────────── */
+
+const seatOptions = () =>
+  '<option value="">🧑 Human</option>' +
+  Object.entries(SEAT_CONTROLLERS)
+    .map(([key, { label }]) => `<option value="${key}">🤖 ${label}</option>`)
+    .join('');
+
+document.querySelectorAll('.seat-select').forEach((select) => { select.innerHTML = seatOptions(); });
+
+/* ── Online AI players (host only) ────────────────────────── */
+
+document.querySelectorAll('.lobby-ai-row').forEach((row) => {
+  const select = row.querySelector('.ai-level-select');
+  select.innerHTML = Object.entries(AI_LEVELS)
+    .map(([level, { label }]) => `<option value="${level}">${label}</option>`)
+    .join('');
+  select.value = 'medium';
+  row.querySelector('.add-ai-btn').addEventListener('click', () => addAiPlayer(select.value));
+});
+
+/* ── Online turn clock (host sets it in the lobby) ────────── */
+
+const clockLabel = (seconds) => (seconds ? `${seconds} s per phase` : 'Off');
+
+document.querySelectorAll('.lobby-clock-row').forEach((row) => {
+  const select = row.querySelector('.turn-clock-select');
+  select.innerHTML = TURN_CLOCK_SECONDS.map((s) => `<option value="${s}">${clockLabel(s)}</option>`).join('');
+  select.addEventListener('change', () => setTurnClock(Number(select.value)));
+});
+
+/* ── Online lobby controls (host only) ────────────────────── */
+
+let lobbyNames = [];   // seat order from the latest lobby message
+let lobbyLocked = false;
+
+// Seat buttons are rebuilt with every lobby message, so listen on the list
+['lobby-players', 'coop-lobby-players'].forEach((id) => {
+  document.getElementById(id).addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-seat]');
+    if (!btn) return;
+    const name = lobbyNames[Number(btn.dataset.seat)];
+    if (btn.dataset.kick !== undefined) kickPlayer(name);
+    else moveSeat(name, Number(btn.dataset.to));
+  });
+});
+
+document.querySelectorAll('.lock-room-btn').forEach((btn) => {
+  btn.addEventListener('click', () => lockRoom(!lobbyLocked));
+});
+
+/** Lobby seat list; the host also gets ▲ ▼ to reorder seats and ✕ to remove a player. */
+const lobbyPlayersHtml = (names, you, hostName, host) =>
+  names.map((n, i) => {
+    const controls = !host ? '' : '<span class="lobby-seat-controls">' +
+      `<button data-seat="${i}" data-to="${i - 1}" title="Move up"${i === 0 ? ' disabled' : ''}>▲</button>` +
+      `<button data-seat="${i}" data-to="${i + 1}" title="Move down"${i === names.length - 1 ? ' disabled' : ''}>▼</button>` +
+      (n === you ? '' : `<button data-seat="${i}" data-kick title="Remove from room">✕</button>`) +
+      '</span>';
+    return `<div class="lobby-player">${i + 1}. ${n}${n === you ? ' (you)' : ''}${n === hostName ? ' 👑' : ''}${controls}</div>`;
+  }).join('');
+
+/** Show whether the room is locked: a toggle for the host, a notice for everyone else. */
+const showLobbyLock = (rowId, locked, host) => {
+  lobbyLocked = locked;
+  const row = document.getElementById(rowId);
+  const btn = row.querySelector('.lock-room-btn');
+  const label = row.querySelector('.lock-room-label');
+  btn.textContent = locked ? '🔓 Unlock room' : '🔒 Lock room';
+  btn.style.display = host ? '' : 'none';
+  label.textContent = locked ? (host ? 'Nobody new can join.' : '🔒 The host has locked the room.') : '';
+};
+
+/** Show the room's turn clock: a dropdown for the host, plain text for everyone else. */
+const showLobbyClock = (rowId, seconds, host) => {
+  const row = document.getElementById(rowId);
+  const select = row.querySelector('.turn-clock-select');
+  const label = row.querySelector('.turn-clock-label');
+  select.value = String(seconds || 0);
+  select.style.display = host ? '' : 'none';
+  label.textContent = clockLabel(seconds);
+  label.style.display = host ? 'none' : '';
+};
+
+/**
+ * Read the seats of a setup list: names plus a seat controller (or null) per seat.
+ * Empty human seats are skipped; bots without a name get one.
+ */
+const readSeats = (listId, nameClass) => {
+  const seats = Array.from(document.querySelectorAll(`#${listId} .player-input`))
+    .map((row) => ({ name: row.querySelector(`.${nameClass}`).value.trim(), bot: row.querySelector('.seat-select').value || null }))
+    .filter((seat) => seat.name.length > 0 || seat.bot);
+  return {
+    names: seats.map((seat, i) => (seat.bot ? `🤖 ${seat.name || `${SEAT_CONTROLLERS[seat.bot].name} ${i + 1}`}` : seat.name)),
+    bots: seats.map((seat) => seat.bot),
+  };
+};
+
+/** Markup for a new setup row. */
+const playerRow = (n, nameClass) =>
+  `<label>Player ${n}: <input type="text" class="${nameClass}" placeholder="Name" maxlength="12" /></label> ` +
+  `<select class="seat-select" aria-label="Player ${n} controller">${seatOptions()}</select>`;
+
 /* ── Number popup animation ───────────────────────────────── */
 
 let _prevOxygen = null;
@@ -60,8 +191,8 @@ const detectNumberChanges = (state) => {
   }
   _prevDice = state.diceResult;
 
-  // Score changes per player
-  const currentScores = state.players.map(p => p.scored.reduce((s, c) => s + c.value, 0));
+  // Score changes per player (secret-hand chips only count once revealed to everyone)
+  const currentScores = state.players.map(p => p.scored.reduce((s, c) => s + (chipVisible(state, p.id, c, null) ? c.value : 0), 0));
   if (_prevScores) {
     state.players.forEach((p, i) => {
       if (currentScores[i] !== _prevScores[i]) {
@@ -80,10 +211,16 @@ const detectNumberChanges = (state) => {
 
 /* ── render callback ──────────────────────────────────────── */
 
+let watchers = []; // online: names of the room's spectators
+let turnClock = null; // online: { playerId, deadline, totalMs } of the running turn clock (deadline in local time)
+
 const render = (state) => {
   renderBoard($board, state);
-  renderHud($hud, state);
-  bindControls($controls, state, { online: getMode() === 'online', isMyTurn: isMyTurn() });
+  // Whose secret hand the HUD may show: yours online, the human at the screen locally
+  const viewerId = getMode() === 'online' ? getMyPlayerId() : (isBotTurn() ? null : state.currentPlayerIndex);
+  const online = getMode() === 'online';
+  renderHud($hud, state, { watchers: online ? watchers : [], viewerId, clock: online ? turnClock : undefined });
+  bindControls($controls, state, { online: getMode() === 'online', isMyTurn: isMyTurn(), spectator: isSpectator() });
   renderGameLog($gameLog, state);
 
   // Number popup animations for changed values
@@ -122,6 +259,43 @@ const showSkipAnimation = () => {
   setTimeout(() => { overlay.classList.add('skip-fade-out'); setTimeout(() => overlay.remove(), 300); }, 600);
 };
 
+/** Show a short toast at the bottom of the screen, replacing any previous one. */
+const showToast = (message, variant = '', ms = 2500) => {
+  document.querySelector('.action-error-toast')?.remove();
+  const toast = document.createElement('div');
+  toast.className = 'action-error-toast' + (variant ? ` ${variant}` : '');
+  toast.textContent = message;
+  document.body.appendChild(toast);
+  setTimeout(() => toast.remove(), ms);
+};
+
+/** Toast for a rejected action (e.g. "Not your turn."). */
+const showActionError = ({ message }) => showToast(message);
+
+/** Toast about online seats and connections: someone dropped, an AI stepped in, or a connection came back. */
+const showSeatNotice = (message) => showToast(message, 'seat-notice', 4000);
+
+const seatCallbacks = {
+  onDisconnect:   (n, graceMs) => showSeatNotice(`${n} disconnected — an AI takes over in ${Math.round(graceMs / 1000)}s unless they reconnect.`),
+  onReplaced:     (n) => showSeatNotice(`🤖 An AI is playing for ${n} until they reconnect.`),
+  onReturned:     (n) => showSeatNotice(`${n} reconnected.`),
+  onReconnecting: (attempt) => showSeatNotice(`Connection lost — reconnecting${attempt > 1 ? ` (attempt ${attempt})` : ''}…`),
+  onReconnect:    () => showSeatNotice('Reconnected.'),
+  onWatchers:     (names) => { watchers = names; if (getState()) render(getState()); },
+  onHostChanged:  (n) => showSeatNotice(`👑 ${n} is now the host.`),
+  onClock:        (clock) => {
+    turnClock = clock && { playerId: clock.playerId, deadline: Date.now() + clock.remainingMs, totalMs: clock.totalMs };
+    if (getState()) renderTurnClock($hud, getState(), turnClock);
+  },
+};
+
+// Count the turn clock down between state updates
+setInterval(() => {
+  if (getMode() === 'online' && getState()) renderTurnClock($hud, getState(), turnClock);
+}, 250);
+
+setActionErrorCallback(showActionError);
+
 /** Show a dramatic kill overlay that auto-dismisses. */
 const showKillOverlay = ({ victim, killer, backfire }) => {
   const overlay = document.createElement('div');
@@ -139,7 +313,7 @@ const showKillOverlay = ({ victim, killer, backfire }) => {
 };
 
 /** Show a dramatic sinking anchor overlay. */
-const showAnchorOverlay = ({ player }) => {
+const showAnchorOverlay = ({ player, multiplier = 5 }) => {
   const overlay = document.createElement('div');
   overlay.className = 'anchor-overlay';
   overlay.innerHTML = `
@@ -156,7 +330,7 @@ const showAnchorOverlay = ({ player }) => {
     <div class="anchor-content">
       <div class="anchor-title">ANCHOR BOOST!</div>
       <div class="anchor-player">${player}</div>
-      <div class="anchor-detail">Next roll ×5!</div>
+      <div class="anchor-detail">Next roll ×${multiplier}!</div>
     </div>
   `;
   document.body.appendChild(overlay);
@@ -311,18 +485,15 @@ document.getElementById('back-to-mode-btn-3').addEventListener('click', () => {
 /* ── local setup ──────────────────────────────────────────── */
 
 document.getElementById('start-btn').addEventListener('click', () => {
-  const nameInputs = document.querySelectorAll('.player-name');
-  const names = Array.from(nameInputs)
-    .map((el) => el.value.trim())
-    .filter((n) => n.length > 0);
+  const { names, bots } = readSeats('player-list', 'player-name');
 
   if (names.length < 2) {
-    alert('Enter at least 2 player names.');
+    alert('Enter at least 2 player names (or add bots).');
     return;
   }
 
   hideAll();
-  startGame(names, render);
+  startGame(names, render, { seed: urlSeed, rules: selectedRules('rules-select'), bots });
 });
 
 const $playerList = document.getElementById('player-list');
@@ -334,7 +505,7 @@ const addPlayerInput = () => {
   playerCount++;
   const div = document.createElement('div');
   div.className = 'player-input';
-  div.innerHTML = `<label>Player ${playerCount}: <input type="text" class="player-name" placeholder="Name" maxlength="12" /></label>`;
+  div.innerHTML = playerRow(playerCount, 'player-name');
   $playerList.appendChild(div);
   if (playerCount >= 6) $addPlayer.disabled = true;
 };
@@ -362,25 +533,22 @@ document.getElementById('coop-add-player-btn').addEventListener('click', () => {
   coopPlayerCount++;
   const div = document.createElement('div');
   div.className = 'player-input';
-  div.innerHTML = `<label>Player ${coopPlayerCount}: <input type="text" class="coop-player-name" placeholder="Name" maxlength="12" /></label>`;
+  div.innerHTML = playerRow(coopPlayerCount, 'coop-player-name');
   $coopPlayerList.appendChild(div);
   if (coopPlayerCount >= 6) document.getElementById('coop-add-player-btn').disabled = true;
 });
 
 // Start co-op mission
 document.getElementById('coop-start-btn').addEventListener('click', () => {
-  const nameInputs = document.querySelectorAll('.coop-player-name');
-  const names = Array.from(nameInputs)
-    .map((el) => el.value.trim())
-    .filter((n) => n.length > 0);
+  const { names, bots } = readSeats('coop-player-list', 'coop-player-name');
 
   if (names.length < 2) {
-    alert('Enter at least 2 player names.');
+    alert('Enter at least 2 player names (or add bots).');
     return;
   }
 
   hideAll();
-  startCoopGame(names, coopMission, render);
+  startCoopGame(names, coopMission, render, { seed: urlSeed, rules: selectedRules('coop-rules-select'), bots });
 });
 
 /* ── online lobby ─────────────────────────────────────────── */
@@ -398,19 +566,21 @@ document.getElementById('create-room-btn').addEventListener('click', async () =>
     await connect({
       onState:      (state, playerId, event) => { hideAll(); receiveState(state, playerId, event, render); },
       onLobby:      (msg) => showLobbyWaiting(msg),
-      onError:      (msg) => showError(msg),
+      onError:      (msg, code) => (isActionError(code) ? showActionError({ message: msg }) : showError(msg)),
       onCreated:    () => {},
-      onDisconnect: (n) => showError(`${n} disconnected.`),
+      ...seatCallbacks,
+      onRemoved:    (msg) => { showLobby(); showError(msg); },
       onClose:      () => showError('Connection lost.'),
     });
     isHost = true;
-    createRoom(name);
+    createRoom(name, document.getElementById('create-rules-select').value);
   } catch {
     showError('Could not connect to server.');
   }
 });
 
-document.getElementById('join-room-btn').addEventListener('click', async () => {
+/** Join the room in the form as a player, or as a spectator who watches without a seat. */
+const joinOnline = async (spectator) => {
   const name = document.getElementById('join-name').value.trim();
   const code = document.getElementById('join-code').value.trim().toUpperCase();
   if (!name) { showError('Enter your name.'); return; }
@@ -418,34 +588,52 @@ document.getElementById('join-room-btn').addEventListener('click', async () => {
 
   try {
     await connect({
-      onState:      (state, playerId, event) => { hideAll(); receiveState(state, playerId, event, render); },
+      onState:      (state, playerId, event) => { hideAll(); setMode('online'); receiveState(state, playerId, event, render); },
       onLobby:      (msg) => showLobbyWaiting(msg),
-      onError:      (msg) => showError(msg),
+      onError:      (msg, code) => (isActionError(code) ? showActionError({ message: msg }) : showError(msg)),
       onCreated:    () => {},
-      onDisconnect: (n) => showError(`${n} disconnected.`),
+      ...seatCallbacks,
+      onRemoved:    (msg) => { showLobby(); showError(msg); },
       onClose:      () => showError('Connection lost.'),
     });
     isHost = false;
-    joinRoom(code, name);
+    if (spectator) watchRoom(code, name);
+    else joinRoom(code, name);
   } catch {
     showError('Could not connect to server.');
   }
-});
+};
+
+document.getElementById('join-room-btn').addEventListener('click', () => joinOnline(false));
+document.getElementById('watch-room-btn').addEventListener('click', () => joinOnline(true));
 
-const showLobbyWaiting = ({ code, names, you }) => {
+/** Lobby list of spectators (empty when nobody is watching). */
+const watcherListHtml = (names, you) =>
+  names.length === 0 ? '' : `<div class="lobby-watchers">👀 Watching: ${names.map((n) => (n === you ? `${n} (you)` : n)).join(', ')}</div>`;
+
+const showLobbyWaiting = ({ code, names, watchers: watching = [], you, host, hostName, locked, spectator, variant, turnSeconds }) => {
   setMode('online');
+  isHost = host; // the host may have left and handed over
   document.getElementById('lobby-connect').style.display = 'none';
   const $waiting = document.getElementById('lobby-waiting');
   $waiting.style.display = '';
   document.getElementById('room-code-value').textContent = code;
+  document.getElementById('lobby-rules-label').textContent = rulesLabel(variant);
 
+  watchers = watching;
+  lobbyNames = names;
   const $players = document.getElementById('lobby-players');
   $players.innerHTML = '<h3>Players in Room:</h3>' +
-    names.map((n, i) => `<div class="lobby-player">${i + 1}. ${n}${n === you ? ' (you)' : ''}${i === 0 ? ' 👑' : ''}</div>`).join('');
+    lobbyPlayersHtml(names, you, hostName, isHost) +
+    watcherListHtml(watching, you);
 
-  // Only host sees start button
+  // Only host sees start button, seat controls, AI controls, the lock and the clock dropdown
   const $startBtn = document.getElementById('start-online-btn');
   const $waitMsg  = document.getElementById('lobby-wait-msg');
+  $waitMsg.textContent = spectator ? '👀 You are watching — waiting for host to start…' : 'Waiting for host to start…';
+  document.getElementById('lobby-ai-row').style.display = isHost ? '' : 'none';
+  showLobbyLock('lobby-lock-row', locked, isHost);
+  showLobbyClock('lobby-clock-row', turnSeconds, isHost);
   if (isHost) {
     $startBtn.style.display = '';
     $waitMsg.style.display = 'none';
@@ -484,19 +672,21 @@ document.getElementById('coop-create-room-btn').addEventListener('click', async
     await connect({
       onState:      (state, playerId, event) => { hideAll(); receiveState(state, playerId, event, render); },
       onLobby:      (msg) => showCoopLobbyWaiting(msg),
-      onError:      (msg) => showCoopError(msg),
+      onError:      (msg, code) => (isActionError(code) ? showActionError({ message: msg }) : showCoopError(msg)),
       onCreated:    () => {},
-      onDisconnect: (n) => showCoopError(`${n} disconnected.`),
+      ...seatCallbacks,
+      onRemoved:    (msg) => { showCoopLobby(); showCoopError(msg); },
       onClose:      () => showCoopError('Connection lost.'),
     });
     isCoopHost = true;
-    createCoopRoom(name, onlineCoopMission);
+    createCoopRoom(name, onlineCoopMission, document.getElementById('coop-create-rules-select').value);
   } catch {
     showCoopError('Could not connect to server.');
   }
 });
 
-document.getElementById('coop-join-room-btn').addEventListener('click', async () => {
+/** Join the room in the form as a player, or as a spectator who watches without a seat. */
+const joinCoopOnline = async (spectator) => {
   const name = document.getElementById('coop-join-name').value.trim();
   const code = document.getElementById('coop-join-code').value.trim().toUpperCase();
   if (!name) { showCoopError('Enter your name.'); return; }
@@ -504,22 +694,28 @@ document.getElementById('coop-join-room-btn').addEventListener('click', async ()
 
   try {
     await connect({
-      onState:      (state, playerId, event) => { hideAll(); receiveState(state, playerId, event, render); },
+      onState:      (state, playerId, event) => { hideAll(); setMode('online'); receiveState(state, playerId, event, render); },
       onLobby:      (msg) => showCoopLobbyWaiting(msg),
-      onError:      (msg) => showCoopError(msg),
+      onError:      (msg, code) => (isActionError(code) ? showActionError({ message: msg }) : showCoopError(msg)),
       onCreated:    () => {},
-      onDisconnect: (n) => showCoopError(`${n} disconnected.`),
+      ...seatCallbacks,
+      onRemoved:    (msg) => { showCoopLobby(); showCoopError(msg); },
       onClose:      () => showCoopError('Connection lost.'),
     });
     isCoopHost = false;
-    joinRoom(code, name);
+    if (spectator) watchRoom(code, name);
+    else joinRoom(code, name);
   } catch {
     showCoopError('Could not connect to server.');
   }
-});
+};
+
+document.getElementById('coop-join-room-btn').addEventListener('click', () => joinCoopOnline(false));
+document.getElementById('coop-watch-room-btn').addEventListener('click', () => joinCoopOnline(true));
 
-const showCoopLobbyWaiting = ({ code, names, you, coop, mission }) => {
+const showCoopLobbyWaiting = ({ code, names, watchers: watching = [], you, host, hostName, locked, spectator, coop, mission, variant, turnSeconds }) => {
   setMode('online');
+  isCoopHost = host; // the host may have left and handed over
   document.getElementById('coop-lobby-connect').style.display = 'none';
   const $waiting = document.getElementById('coop-lobby-waiting');
   $waiting.style.display = '';
@@ -528,14 +724,22 @@ const showCoopLobbyWaiting = ({ code, names, you, coop, mission }) => {
   // Show mission label
   const missionLabel = mission === 'treasure' ? '💰 Treasure Haul' : '🐙 Monster Hunt';
   document.getElementById('coop-lobby-mission-label').textContent = `Mission: ${missionLabel}`;
+  document.getElementById('coop-lobby-rules-label').textContent = rulesLabel(variant);
 
+  watchers = watching;
+  lobbyNames = names;
   const $players = document.getElementById('coop-lobby-players');
   $players.innerHTML = '<h3>Teammates:</h3>' +
-    names.map((n, i) => `<div class="lobby-player">${i + 1}. ${n}${n === you ? ' (you)' : ''}${i === 0 ? ' 👑' : ''}</div>`).join('');
+    lobbyPlayersHtml(names, you, hostName, isCoopHost) +
+    watcherListHtml(watching, you);
 
-  // Only host sees start button
+  // Only host sees start button, seat controls, AI controls, the lock and the clock dropdown
   const $startBtn = document.getElementById('coop-start-online-btn');
   const $waitMsg  = document.getElementById('coop-lobby-wait-msg');
+  $waitMsg.textContent = spectator ? '👀 You are watching — waiting for host to start…' : 'Waiting for host to start…';
+  document.getElementById('coop-lobby-ai-row').style.display = isCoopHost ? '' : 'none';
+  showLobbyLock('coop-lobby-lock-row', locked, isCoopHost);
+  showLobbyClock('coop-lobby-clock-row', turnSeconds, isCoopHost);
   if (isCoopHost) {
     $startBtn.style.display = '';
     $waitMsg.style.display = 'none';
@@ -548,3 +752,24 @@ const showCoopLobbyWaiting = ({ code, names, you, coop, mission }) => {
 document.getElementById('coop-start-online-btn').addEventListener('click', () => {
   startOnlineGame();
 });
+
+/* ── resume an online seat after a reload ─────────────────── */
+
+resumeSavedSession({
+  onState:      (state, playerId, event) => { hideAll(); setMode('online'); receiveState(state, playerId, event, render); },
+  onLobby:      (msg) => {
+    hideAll();
+    if (msg.coop) {
+      $coopLobby.style.display = '';
+      showCoopLobbyWaiting(msg);
+    } else {
+      $lobby.style.display = '';
+      showLobbyWaiting(msg);
+    }
+  },
+  onError:      (msg, code) => (isActionError(code) ? showActionError({ message: msg }) : showSeatNotice(msg)),
+  onCreated:    () => {},
+  ...seatCallbacks,
+  onRemoved:    (msg) => { showModeSelect(); showSeatNotice(msg); },
+  onClose:      () => showSeatNotice('Connection lost.'),
+}).catch(() => { /* server unreachable: stay on the mode screen */ });
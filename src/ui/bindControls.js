@@ -1,15 +1,28 @@
 /**
  * Bind player action buttons to the controller.
- * In online mode, buttons are only shown when it's the local player's turn.
+ * Buttons are only shown on the local player's turn (online) or a human's turn
+ * (local games with bots). Spectators never get buttons.
+ * Local games also get Undo / Redo buttons.
  */
 
-import { getAvailableActions } from '../app/gameController.js';
+import { getAvailableActions, canUndo, canRedo, actionUndo, actionRedo } from '../app/gameController.js';
 
 export const bindControls = (container, state, opts = {}) => {
   container.innerHTML = '';
 
   const online = opts.online || false;
   const myTurn = opts.isMyTurn !== undefined ? opts.isMyTurn : true;
+  const spectator = opts.spectator || false;
+
+  if (spectator) {
+    const heading = document.createElement('div');
+    heading.className = 'controls-heading';
+    heading.textContent = state.gameOver
+      ? '👀 Watching — game over'
+      : `👀 Watching — ${state.players[state.currentPlayerIndex].name}'s turn`;
+    container.appendChild(heading);
+    return;
+  }
 
   if (state.gameOver) {
     container.innerHTML = '<button id="btn-restart" class="action-btn restart">🔄 New Game</button>';
@@ -20,8 +33,9 @@ export const bindControls = (container, state, opts = {}) => {
   const heading = document.createElement('div');
   heading.className = 'controls-heading';
 
-  if (online && !myTurn) {
-    heading.textContent = `Waiting for ${currentPlayer.name}…`;
+  if (!myTurn) {
+    // Online: another player's turn. Local: a bot is about to move.
+    heading.textContent = online ? `Waiting for ${currentPlayer.name}…` : `${currentPlayer.name} is thinking…`;
     container.appendChild(heading);
     return;
   }
@@ -38,12 +52,34 @@ export const bindControls = (container, state, opts = {}) => {
     btn.addEventListener('click', action);
     container.appendChild(btn);
   });
+
+  if (!online) container.appendChild(historyButtons());
+};
+
+/** Undo / Redo row; a button is disabled when there is nothing to take back or re-apply. */
+const historyButtons = () => {
+  const row = document.createElement('div');
+  row.className = 'controls-history';
+  [
+    { id: 'undo', label: '↶ Undo', enabled: canUndo(), action: actionUndo, hint: 'Dice and trident rolls cannot be undone' },
+    { id: 'redo', label: '↷ Redo', enabled: canRedo(), action: actionRedo, hint: '' },
+  ].forEach(({ id, label, enabled, action, hint }) => {
+    const btn = document.createElement('button');
+    btn.className = 'action-btn history';
+    btn.id = `btn-${id}`;
+    btn.textContent = label;
+    btn.disabled = !enabled;
+    btn.title = enabled ? '' : hint;
+    btn.addEventListener('click', action);
+    row.appendChild(btn);
+  });
+  return row;
 };
 
 const phaseLabel = (phase) => {
   switch (phase) {
     case 'direction': return 'Choose direction';
-    case 'roll': return 'Rolling the dice…';
+    case 'roll': return 'Roll the dice';
     case 'pickup': return 'Pick up, drop, attack, detonate, or skip';
     default: return '';
   }
@@ -36,16 +36,21 @@ export const renderBoard = (container, state) => {
     space.dataset.index = i;
 
     // Chip indicator
-    const chip = state.chips[i];
-    if (chip) {
+    const pile = state.spaces[i];
+    if (pile.length > 0) {
+      const chip = pile[0];
       const chipEl = document.createElement('div');
       if (chip.monster) {
         chipEl.className = 'chip monster-chip';
         chipEl.textContent = '🐙';
         chipEl.title = 'Sea Monster — bomb it to destroy!';
+      } else if (pile.length > 1) {
+        chipEl.className = 'chip stack';
+        chipEl.textContent = `×${pile.length}`;
+        chipEl.title = `Stack of ${pile.length} chips (levels ${pile.map((c) => c.level).join(', ')})`;
       } else {
         chipEl.className = `chip level-${chip.level}`;
-        chipEl.textContent = chip.discovered ? chip.value : '?';
+        chipEl.textContent = chip.discovered && chip.value !== null ? chip.value : '?'; // online, hidden values arrive as null
         chipEl.title = `Level ${chip.level}`;
       }
       space.appendChild(chipEl);
@@ -4,14 +4,24 @@
  */
 
 import { PLAYER_COLORS } from '../infra/constants.js';
-import { playerScore } from '../domain/scoring.js';
 import { scoreboard } from '../domain/scoring.js';
+import { chipVisible } from '../domain/visibility.js';
 
 /** Track whether the user wants the log visible (persists across re-renders). */
 let logVisible = false;
 
-export const renderHud = (container, state) => {
+/**
+ * @param {HTMLElement} container
+ * @param {object} state
+ * @param {{ watchers?: string[], viewerId?: number|null, clock?: object|null }} [opts]  watchers: spectators
+ *   of an online game; viewerId: whose secret hand may be shown (secret-hand rule);
+ *   clock: online turn clock (see renderTurnClock), null when none is running
+ */
+export const renderHud = (container, state, opts = {}) => {
   container.innerHTML = '';
+  const watchers = opts.watchers || [];
+  const viewerId = opts.viewerId ?? null;
+  const shows = (p, chip) => chipVisible(state, p.id, chip, viewerId);
 
   // ── Oxygen & round info ──
   const info = document.createElement('div');
@@ -21,12 +31,15 @@ export const renderHud = (container, state) => {
     <div class="hud-oxygen">
       <span class="oxygen-label">Oxygen</span>
       <div class="oxygen-bar-track">
-        <div class="oxygen-bar-fill" style="width:${(state.oxygen / 25) * 100}%"></div>
+        <div class="oxygen-bar-fill" style="width:${(state.oxygen / state.rules.startingOxygen) * 100}%"></div>
       </div>
       <span class="oxygen-value">${state.oxygen}</span>
     </div>
+    ${opts.clock !== undefined ? '<div class="hud-clock" hidden></div>' : ''}
+    ${watchers.length > 0 ? `<div class="hud-watchers">👀 Watching: ${watchers.join(', ')}</div>` : ''}
   `;
   container.appendChild(info);
+  renderTurnClock(container, state, opts.clock);
 
   // ── Co-op mission status panel ──
   if (state.coop) {
@@ -68,13 +81,15 @@ export const renderHud = (container, state) => {
     const posLabel = p.dead ? '☠️ Dead' : (p.position === -1 ? '🚢 Sub' : `Space ${p.position + 1}`);
     if (p.dead) panel.classList.add('dead');
     const carryLabel = p.carried.length > 0
-      ? `Carrying: ${p.carried.length} chip(s)`
+      ? `Carrying: ${p.carried.length} chip(s) (${p.carried.map((chip) => (shows(p, chip) ? chip.value : '?')).join(', ')})`
       : 'Carrying: 0 chip(s)';
+    const hiddenScore = p.scored.some((chip) => !shows(p, chip));
+    const score = p.scored.reduce((sum, chip) => sum + (shows(p, chip) ? chip.value : 0), 0);
     const bombLabel = state.coop && state.mission === 'monsters' ? `<div class="panel-bombs">💣 Bombs: ${p.bombs || 0}</div>` : '';
     const anchorIndicator = p.anchorActive ? ' ⚓' : '';
     const scoreLabel = state.coop
       ? (anchorIndicator ? `<div class="panel-score">${anchorIndicator}</div>` : '')
-      : `<div class="panel-score">Score: ${playerScore(p)}${anchorIndicator}</div>`;
+      : `<div class="panel-score">Score: ${score}${hiddenScore ? ' + ?' : ''}${anchorIndicator}</div>`;
     panel.innerHTML = `
       <div class="panel-name" style="color:${PLAYER_COLORS[p.id]}">${p.name}</div>
       <div class="panel-pos">${posLabel} ${p.dead ? '' : (p.direction === 'up' ? '↑' : '↓')}</div>
@@ -99,15 +114,39 @@ export const renderHud = (container, state) => {
         (state.mission === 'treasure' ? `<div class="score-row">Target: ${state.coopTarget} pts</div>` : '') +
         (state.mission === 'monsters' ? `<div class="score-row">Monsters remaining: ${state.monstersRemaining}</div>` : '');
     } else {
+      const rows = scoreboard(state.players);
       sb.innerHTML = '<h2>🏆 Final Scores</h2>' +
-        scoreboard(state.players)
-          .map((s, i) => `<div class="score-row${i === 0 ? ' winner' : ''}">${i + 1}. ${s.name}: ${s.score} pts</div>`)
+        rows
+          .map((s) => {
+            // Shared placements are shown as "=1.", "=3." …
+            const shared = rows.filter((r) => r.place === s.place).length > 1;
+            const place = shared ? `=${s.place}` : s.place;
+            const note = s.tieBreak ? ` <span class="tie-break" title="Tie on points — more higher-level chips ranks first">(L4–L1: ${s.levels.join('/')})</span>` : '';
+            return `<div class="score-row${s.place === 1 ? ' winner' : ''}">${place}. ${s.name}: ${s.score} pts${note}</div>`;
+          })
           .join('');
     }
     container.appendChild(sb);
   }
 };
 
+/**
+ * Update the HUD's turn clock line in place (called every tick, so the HUD
+ * is not rebuilt each second). No-op if the HUD has no clock line.
+ * @param {HTMLElement} container  the HUD
+ * @param {object} state
+ * @param {{ playerId: number, deadline: number, totalMs: number }|null} clock  deadline in Date.now() time
+ */
+export const renderTurnClock = (container, state, clock) => {
+  const el = container.querySelector('.hud-clock');
+  if (!el) return;
+  el.hidden = !clock;
+  if (!clock) return;
+  const seconds = Math.max(0, Math.ceil((clock.deadline - Date.now()) / 1000));
+  el.textContent = `⏰ ${state.players[clock.playerId].name}: ${seconds}s`;
+  el.classList.toggle('urgent', seconds <= 5);
+};
+
 /**
  * Render the game log section (recent summary + toggleable full log).
  * This is rendered below #controls so it appears at the very bottom.
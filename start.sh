@@ -20,9 +20,24 @@ for arg in "$@"; do
   fi
 done
 
-# Kill any existing process on the port
-lsof -ti:"$PORT" | xargs kill -9 2>/dev/null
-sleep 0.3
+# Stop any existing server on the port. SIGTERM lets it save its rooms
+# (restored on boot); force-kill only if it hasn't exited after 5 seconds.
+OLD_PIDS=$(lsof -ti:"$PORT")
+if [[ -n "$OLD_PIDS" ]]; then
+  kill $OLD_PIDS 2>/dev/null
+  for _ in {1..50}; do
+    lsof -ti:"$PORT" >/dev/null || break
+    sleep 0.1
+  done
+  lsof -ti:"$PORT" | xargs kill -9 2>/dev/null
+  sleep 0.3
+fi
+
+# Behind the tunnel every client connects from localhost, so the server
+# needs X-Forwarded-For to tell them apart (connection limits per address)
+if $NGROK; then
+  export TRUST_PROXY=1
+fi
 
 # Start server in background
 nohup node "$DIR/server.js" "$PORT" > "$LOG" 2>&1 &
@@ -0,0 +1,264 @@
+/**
+ * Action reducer tests — the layer shared by the local controller and the server.
+ * Run with:  node tests/domain.actions.test.js
+ *
+ * Uses a tiny hand-rolled test runner (no dependencies).
+ */
+
+import { newGame, cloneState } from '../src/domain/gameState.js';
+import { replayGame } from '../src/domain/replay.js';
+import { createRng, randomWideSeed } from '../src/infra/rng.js';
+import { applyAction, validateAction, legalActions, isUndoable, timeoutAction, ACTION_TYPES, ACTION_ERRORS } from '../src/domain/actions.js';
+
+let passed = 0;
+let failed = 0;
+
+const assert = (cond, msg) => {
+  if (cond) {
+    passed++;
+    console.log(`  ✅ ${msg}`);
+  } else {
+    failed++;
+    console.error(`  ❌ FAIL: ${msg}`);
+  }
+};
+
+/* ── helper ───────────────────────────────────────────────── */
+const freshState = () => newGame(['Alice', 'Bob']);
+const errorCode = (state, action) => applyAction(state, action).error?.code;
+
+/* ── Tests ────────────────────────────────────────────────── */
+console.log('\n=== Game Start ===');
+{
+  const s = freshState();
+  assert(s.log[s.log.length - 1].includes('Round 1 begins'), 'opening log line written');
+  const c = newGame(['A', 'B'], { coop: true, mission: 'treasure' });
+  assert(c.coop === true && c.coopTarget === 60, 'co-op game created with target');
+}
+
+console.log('\n=== Reducer ===');
+{
+  const s = freshState();
+  assert(ACTION_TYPES.includes('choose-direction'), 'action types are exported');
+
+  const before = JSON.stringify(s);
+  const r1 = applyAction(s, { type: 'choose-direction', direction: 'down' });
+  assert(JSON.stringify(s) === before, 'input state is not mutated');
+  assert(r1.event.diceTotal >= 2 && r1.event.diceTotal <= 6, 'choosing direction auto-rolls the dice');
+  assert(r1.state.players[0].position >= 0, 'diver moved onto the board');
+  assert(r1.state.turnPhase === 'pickup', 'phase advances to pickup');
+
+  const r2 = applyAction(r1.state, { type: 'pick-up', playerId: 0 });
+  assert(r2.event.lastEvent.type === 'pickup', 'pickup returns a pickup event');
+  assert(r2.state.players[0].carried.length === 1, 'chip is carried');
+  assert(r2.state.currentPlayerIndex === 1 && r2.state.turnPhase === 'direction', 'turn passes to next player');
+}
+
+console.log('\n=== Error Codes ===');
+{
+  const s = freshState();
+  const result = applyAction(s, { type: 'pick-up' });
+  assert(result.error && result.error.code === 'NOT_YOUR_PHASE' && !result.state, 'rejected action returns an error and no state');
+  assert(result.error.message === ACTION_ERRORS.NOT_YOUR_PHASE, 'error carries a displayable message');
+  assert(errorCode(s, { type: 'no-such-action' }) === 'UNKNOWN_ACTION', 'unknown action → UNKNOWN_ACTION');
+  assert(errorCode(s, { type: 'roll', playerId: 1 }) === 'NOT_YOUR_TURN', 'other player → NOT_YOUR_TURN');
+  assert(errorCode(s, { type: 'choose-direction', direction: 'sideways' }) === 'INVALID_DIRECTION', 'bad direction → INVALID_DIRECTION');
+  assert(errorCode(s, { type: 'buy-anchor' }) === 'NOT_ENOUGH_POINTS', 'anchor without points → NOT_ENOUGH_POINTS');
+  assert(errorCode(s, { type: 'skip-sub-turn' }) === 'FIRST_TURN_OF_ROUND', 'cannot skip before anyone dived');
+  assert(errorCode(s, { type: 'buy-bomb' }) === 'COOP_ONLY', 'bombs are co-op only');
+
+  s.turnPhase = 'pickup';
+  s.players[0].position = 3;
+  s.spaces[3] = [];
+  assert(errorCode(s, { type: 'pick-up' }) === 'SPACE_EMPTY', 'empty space → SPACE_EMPTY');
+  assert(errorCode(s, { type: 'drop' }) === 'NOTHING_CARRIED', 'nothing to drop → NOTHING_CARRIED');
+  s.players[0].depthCharges = 0;
+  assert(errorCode(s, { type: 'depth-charge' }) === 'NO_CHARGES_LEFT', 'no charges → NO_CHARGES_LEFT');
+  assert(validateAction(s, { type: 'skip' }) === null, 'validateAction returns null for a legal action');
+
+  s.gameOver = true;
+  assert(errorCode(s, { type: 'skip' }) === 'GAME_OVER', 'finished game → GAME_OVER');
+}
+
+console.log('\n=== Legal Actions ===');
+{
+  const s = freshState();
+  const types = (list) => list.map(a => a.type + (a.direction ? `:${a.direction}` : ''));
+  assert(JSON.stringify(types(legalActions(s, 0))) === '["choose-direction:down"]', 'on the sub at round start the only move is to dive');
+  assert(legalActions(s, 1).length === 0, 'other players have no legal actions');
+
+  s.turnPhase = 'pickup';
+  s.players[0].position = 4;
+  s.players[0].carried = [{ level: 1, value: 2 }, { level: 3, value: 11 }];
+  s.players[1].position = 5;
+  s.spaces[4] = [];
+  const legal = legalActions(s, 0);
+  assert(legal.filter(a => a.type === 'drop').map(a => a.chipIndex).join() === '0,1', 'one drop per carried chip');
+  assert(legal.some(a => a.type === 'trident' && a.targetId === 1), 'adjacent diver listed as trident target');
+  assert(!legal.some(a => a.type === 'pick-up' || a.type === 'depth-charge'), 'empty space → no pickup or depth charge');
+  assert(legal.every(a => !applyAction(s, { ...a, playerId: 0 }).error), 'every listed action is accepted by applyAction');
+
+  const { state: after } = applyAction(s, { type: 'drop', chipIndex: 0 });
+  assert(after.spaces[4][0].level === 1 && after.players[0].carried.length === 1, 'drop puts the chosen chip on the space');
+  assert(errorCode(s, { type: 'drop', chipIndex: 5 }) === 'INVALID_CHIP', 'dropping a chip not carried → INVALID_CHIP');
+}
+
+console.log('\n=== Trident ===');
+{
+  const s = freshState();
+  s.turnPhase = 'pickup';
+  s.players[0].position = 4;
+  s.players[1].position = 9;
+  assert(errorCode(s, { type: 'trident', targetId: 1 }) === 'INVALID_TARGET', 'cannot attack a non-adjacent diver');
+  s.players[1].position = 5;
+  const { event } = applyAction(s, { type: 'trident', targetId: 1 });
+  assert(event && (event.lastKill || event.tridentMiss), 'adjacent attack resolves');
+}
+
+console.log('\n=== Drowning ===');
+{
+  // A depth charge that uses up the last oxygen ends the round like any other
+  const s = freshState();
+  s.turnPhase = 'pickup';
+  s.players[0].position = 4;
+  s.players[1].position = 9;
+  s.players[1].carried = [{ id: 99, level: 2, value: 5, discovered: true }];
+  s.oxygen = s.rules.depthChargeOxygenCost;
+  const { state, event } = applyAction(s, { type: 'depth-charge' });
+  assert(event.oxygenDepleted && event.drowned.join() === '0,1', 'divers left underwater by a depth charge drown');
+  assert(event.lastExplosion && event.lastEvent.type === 'drown' && state.round === 2, 'the drown overlay follows the explosion');
+}
+
+console.log('\n=== Seeded Randomness ===');
+{
+  const a = newGame(['Alice', 'Bob'], { seed: 1234 });
+  const b = newGame(['Alice', 'Bob'], { seed: 1234 });
+  assert(JSON.stringify(a.spaces) === JSON.stringify(b.spaces), 'same seed → same chip values');
+  assert(a.rng.seed === 1234, 'seed is stored in the state');
+
+  const play = (s) => [
+    { type: 'choose-direction', direction: 'down' },
+    { type: 'pick-up' },
+    { type: 'choose-direction', direction: 'down' },
+  ].reduce((state, action) => applyAction(state, action).state, s);
+  assert(JSON.stringify(play(a)) === JSON.stringify(play(b)), 'same seed + same actions → identical state');
+
+  const c = newGame(['Alice', 'Bob'], { seed: 'tournament-final' });
+  const d = newGame(['Alice', 'Bob'], { seed: 'tournament-final' });
+  assert(JSON.stringify(c.spaces) === JSON.stringify(d.spaces), 'string seeds are reproducible');
+
+  const t1 = newGame(['Alice', 'Bob'], { seed: 99 });
+  const t2 = newGame(['Alice', 'Bob'], { seed: 99 });
+  for (const s of [t1, t2]) {
+    s.turnPhase = 'pickup';
+    s.players[0].position = 4;
+    s.players[1].position = 5;
+  }
+  assert(JSON.stringify(applyAction(t1, { type: 'trident', targetId: 1 })) ===
+         JSON.stringify(applyAction(t2, { type: 'trident', targetId: 1 })), 'trident rolls are reproducible');
+
+  const wideSeed = randomWideSeed();
+  const w = newGame(['Alice', 'Bob'], { seed: wideSeed });
+  assert(/^[0-9a-f]{32}$/.test(wideSeed) && Array.isArray(w.rng.state) && w.rng.state.length === 4, 'a wide seed gets 128 bits of state');
+  assert(JSON.stringify(play(w)) === JSON.stringify(play(newGame(['Alice', 'Bob'], { seed: wideSeed }))), 'wide seeds are reproducible');
+  assert(JSON.stringify(replayGame(play(w).history).spaces) === JSON.stringify(play(w).spaces), 'a wide-seeded game replays');
+  assert(isUndoable(w, applyAction(w, { type: 'choose-direction', direction: 'down', autoRoll: false }).state) &&
+    !isUndoable(w, play(w)), 'undo tells drawn from untouched wide rngs');
+}
+
+console.log('\n=== Undoable Actions ===');
+{
+  const s = freshState();
+  const chosen = applyAction(s, { type: 'choose-direction', direction: 'down', autoRoll: false }).state;
+  assert(chosen.turnPhase === 'roll' && chosen.players[0].position === -1, 'autoRoll: false stops before the dice');
+  assert(isUndoable(s, chosen), 'choosing a direction before the roll is undoable');
+
+  const rolled = applyAction(chosen, { type: 'roll' }).state;
+  assert(!isUndoable(chosen, rolled), 'a dice roll is final');
+  const skipped = applyAction(rolled, { type: 'skip' }).state;
+  assert(isUndoable(rolled, skipped), 'skipping the pickup is undoable');
+  const picked = applyAction(rolled, { type: 'pick-up' }).state;
+  assert(!isUndoable(rolled, picked), 'picking up a face-down chip is final (its value has been seen)');
+  const faceUp = cloneState(rolled);
+  faceUp.spaces[faceUp.players[0].position].forEach((chip) => { chip.discovered = true; });
+  assert(isUndoable(faceUp, applyAction(faceUp, { type: 'pick-up' }).state), 'picking up a face-up chip is undoable');
+
+  const auto = applyAction(s, { type: 'choose-direction', direction: 'down' }).state;
+  assert(!isUndoable(s, auto), 'a direction choice that auto-rolls is final');
+  assert(JSON.stringify(replayGame(skipped.history)) === JSON.stringify(skipped), 'split direction/roll turns replay exactly');
+}
+
+console.log('\n=== History & Replay ===');
+{
+  let s = newGame(['Alice', 'Bob', 'Cara'], { seed: 4242, rules: { startingOxygen: 12 } });
+  assert(s.history.setup.seed === 4242 && s.history.actions.length === 0, 'new game records its setup');
+  const snapshots = [s];
+  while (!s.gameOver && snapshots.length < 2000) {
+    const legal = legalActions(s, s.currentPlayerIndex);
+    s = applyAction(s, legal[0]).state; // always the first legal move
+    snapshots.push(s);
+  }
+  assert(s.gameOver, 'scripted game reaches the end');
+  assert(s.history.actions.length === snapshots.length - 1, 'every applied action is recorded');
+  assert(s.history.actions.every(a => Number.isInteger(a.playerId)), 'recorded actions name their player');
+  assert(JSON.stringify(replayGame(s.history)) === JSON.stringify(s), 'replaying the history rebuilds the final state exactly');
+  const mid = Math.floor(snapshots.length / 2);
+  const partial = replayGame(s.history, mid);
+  assert(JSON.stringify(partial) === JSON.stringify(snapshots[mid]), 'replay can stop at any action index');
+
+  const coop = newGame(['A', 'B'], { coop: true, mission: 'monsters', seed: 7 });
+  const dived = applyAction(coop, { type: 'choose-direction', direction: 'down' }).state;
+  assert(JSON.stringify(replayGame(dived.history)) === JSON.stringify(dived), 'co-op games replay too');
+
+  const broken = { ...s.history, actions: [{ type: 'pick-up', playerId: 0 }] };
+  let threw = false;
+  try { replayGame(broken); } catch { threw = true; }
+  assert(threw, 'an impossible history is reported instead of silently diverging');
+}
+
+console.log('\n=== Secret Values in Events ===');
+{
+  // Events reach every player unprojected, so they must not name secret values either
+  let e = newGame(['A', 'B'], { seed: 12, rules: { secretHand: true } });
+  e = applyAction(e, { type: 'choose-direction', playerId: 0, direction: 'down' }).state;
+  const { event } = applyAction(e, { type: 'pick-up', playerId: 0 });
+  assert(event.lastEvent.type === 'pickup' && !event.lastEvent.detail.includes('value'), 'a secret pick-up event leaves the value out');
+  e.players[0].depthCharges = 1;
+  const charge = applyAction(e, { type: 'depth-charge', playerId: 0 });
+  assert(!charge.event.lastExplosion.detail.includes('value') && !charge.state.log.at(-1).includes('value'),
+    'a depth charge on face-down chips in a secret game keeps their value hidden');
+  let o = newGame(['A', 'B'], { seed: 12 });
+  o = applyAction(o, { type: 'choose-direction', playerId: 0, direction: 'down' }).state;
+  o.players[0].depthCharges = 1;
+  const open = applyAction(o, { type: 'depth-charge', playerId: 0 });
+  assert(open.event.lastExplosion.detail.includes('value'), 'without secret hands the event names the value');
+}
+
+console.log('\n=== Turn Clock Timeouts ===');
+{
+  let s = newGame(['A', 'B'], { seed: 3 });
+  const first = timeoutAction(s);
+  assert(first.type === 'choose-direction' && first.direction === 'down' && first.timeout, 'a timed-out diver on the sub dives');
+  const r = applyAction(s, first);
+  assert(r.state.log.some((line) => line === '⏰ A ran out of time.'), 'the timeout is recorded in the log');
+  s = r.state;
+  if (s.turnPhase === 'pickup') {
+    assert(timeoutAction(s).type === 'skip', 'a timed-out pick-up is skipped');
+    s = applyAction(s, timeoutAction(s)).state;
+  }
+  assert(replayGame(s.history).log.join('\n') === s.log.join('\n'), 'timeouts replay identically');
+
+  const t = newGame(['A', 'B'], { seed: 3 });
+  t.players[0].position = 10;
+  t.players[0].direction = 'down';
+  t.players[0].carried = [t.spaces[0][0]];
+  assert(timeoutAction(t).direction === 'down', 'otherwise the diver keeps their direction');
+  t.oxygen = 4;
+  assert(timeoutAction(t).direction === 'up', 'a diver carrying chips heads back up when oxygen is low');
+  t.gameOver = true;
+  assert(timeoutAction(t) === null, 'no timeout move once the game is over');
+}
+
+/* ── Summary ──────────────────────────────────────────────── */
+console.log(`\n  Results: ${passed} passed, ${failed} failed\n`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,116 @@
+/**
+ * Computer player tests — the bot policies and the search AI.
+ * Run with:  node tests/domain.bots.test.js
+ *
+ * Uses a tiny hand-rolled test runner (no dependencies).
+ */
+
+import { newGame } from '../src/domain/gameState.js';
+import { applyAction } from '../src/domain/actions.js';
+import { BOT_POLICIES, chooseBotAction } from '../src/domain/bots.js';
+import { searchAction } from '../src/domain/search.js';
+import { createRng } from '../src/infra/rng.js';
+
+let passed = 0;
+let failed = 0;
+
+const assert = (cond, msg) => {
+  if (cond) {
+    passed++;
+    console.log(`  ✅ ${msg}`);
+  } else {
+    failed++;
+    console.error(`  ❌ FAIL: ${msg}`);
+  }
+};
+
+/* ── helper ───────────────────────────────────────────────── */
+const freshState = () => newGame(['Alice', 'Bob']);
+
+/* ── Tests ────────────────────────────────────────────────── */
+console.log('\n=== Bots ===');
+{
+  for (const policy of Object.keys(BOT_POLICIES)) {
+    let s = newGame(['A', 'B', 'C'], { seed: 31 });
+    const rng = createRng(5);
+    let illegal = 0;
+    let steps = 0;
+    while (!s.gameOver && steps++ < 3000) {
+      const result = applyAction(s, chooseBotAction(s, s.currentPlayerIndex, { policy, rng }));
+      if (result.error) { illegal++; break; }
+      s = result.state;
+    }
+    assert(illegal === 0 && s.gameOver, `${policy} bots play a full game with legal moves only`);
+  }
+  const s = freshState();
+  const before = JSON.stringify(s);
+  chooseBotAction(s, 0, { policy: 'random', rng: createRng(1) });
+  assert(JSON.stringify(s) === before, 'choosing a move leaves the state (and its rng) untouched');
+  assert(chooseBotAction(s, 1) === null, 'a bot cannot act out of turn');
+
+  // Heading home over a face-down level-3 chip: the decision can't depend on its hidden value
+  const peek = (value) => {
+    const t = freshState();
+    t.turnPhase = 'pickup';
+    t.players[0].position = 20;
+    t.players[0].direction = 'up';
+    t.spaces[20] = [{ id: 20, level: 3, value, discovered: false }];
+    return chooseBotAction(t, 0, { policy: 'aggressive', rng: createRng(1) }).type;
+  };
+  assert(peek(8) === peek(11), 'bots judge face-down chips by their level, not their hidden value');
+
+  // Far from home with little oxygen: shed the chip that looks worth the least
+  const laden = freshState();
+  laden.turnPhase = 'pickup';
+  laden.oxygen = 3;
+  laden.players[0].position = 10;
+  laden.players[0].direction = 'up';
+  laden.players[0].carried = [{ id: 97, level: 3, value: 9, discovered: false }, { id: 98, level: 1, value: 2, discovered: true }];
+  laden.spaces[10] = [];
+  for (const policy of ['greedy', 'cautious']) {
+    const action = chooseBotAction(laden, 0, { policy, rng: createRng(1) });
+    assert(action.type === 'drop' && action.chipIndex === 1, `${policy} bots drop their least valuable chip when short of oxygen`);
+  }
+  laden.oxygen = 25;
+  assert(chooseBotAction(laden, 0, { policy: 'greedy', rng: createRng(1) }).type === 'skip', 'with oxygen to spare they keep it');
+}
+
+
+console.log('\n=== Search AI ===');
+{
+  const s = freshState();
+  const before = JSON.stringify(s);
+  const action = searchAction(s, 0, { level: 'easy', rng: createRng(3) });
+  assert(!applyAction(s, action).error, 'the search AI picks a legal move');
+  assert(JSON.stringify(s) === before, 'searching leaves the state (and its rng) untouched');
+  assert(searchAction(s, 1, { level: 'easy' }) === null, 'the search AI cannot act out of turn');
+
+  // Next to the sub with a level-4 chip and little oxygen left: the sane move is home
+  let t = newGame(['A', 'B'], { seed: 8 });
+  t = applyAction(t, { type: 'choose-direction', playerId: 0, direction: 'down' }).state;
+  t.players[0].position = 1;
+  t.players[0].carried = [{ id: 99, level: 4, value: 15, discovered: true }];
+  t.oxygen = 3;
+  t.turnPhase = 'direction';
+  t.players[0].direction = 'down';
+  const pick = searchAction(t, 0, { level: 'medium', rng: createRng(4) });
+  assert(pick.type === 'choose-direction' && pick.direction === 'up', 'the search AI turns back when oxygen is about to run out');
+
+  // A face-down chip underfoot: whatever it is really worth, the AI sees only its level
+  const underfoot = (value) => {
+    const u = newGame(['A', 'B'], { seed: 8 });
+    u.turnPhase = 'pickup';
+    u.players[0].position = 2;
+    u.players[0].direction = 'up';
+    u.players[0].carried = [{ id: 98, level: 2, value: 5, discovered: true }];
+    u.oxygen = 6;
+    u.spaces[2] = [{ id: 2, level: 1, value, discovered: false }];
+    return JSON.stringify(searchAction(u, 0, { level: 'easy', rng: createRng(6) }));
+  };
+  assert(underfoot(0) === underfoot(300), 'the search AI never reads face-down chip values');
+}
+
+
+/* ── Summary ──────────────────────────────────────────────── */
+console.log(`\n  Results: ${passed} passed, ${failed} failed\n`);
+process.exit(failed > 0 ? 1 : 0);
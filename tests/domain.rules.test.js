@@ -5,7 +5,8 @@
  * Uses a tiny hand-rolled test runner (no dependencies).
  */
 
-import { createGameState, createPlayer } from '../src/domain/gameState.js';
+import { createGameState, createCoopGameState, createPlayer, resolveRules } from '../src/domain/gameState.js';
+import { RULE_PRESETS } from '../src/infra/constants.js';
 import {
   oxygenCost,
   consumeOxygen,
@@ -13,16 +14,23 @@ import {
   occupiedBy,
   canPickUp,
   canDrop,
+  canBuyAnchor,
   isRoundOver,
+  resolveTridentRoll,
+  chipCount,
 } from '../src/domain/rules.js';
 import {
   applyOxygenCost,
   chooseDirection,
   applyMovement,
   pickUpChip,
+  dropChip,
+  applyDepthCharge,
   endRound,
   playerScore,
 } from '../src/domain/turnEngine.js';
+import { scoreboard, winners } from '../src/domain/scoring.js';
+import { projectState } from '../src/domain/visibility.js';
 
 let passed = 0;
 let failed = 0;
@@ -47,7 +55,8 @@ console.log('\n=== Game State ===');
   assert(s.players.length === 2, 'creates 2 players');
   assert(s.oxygen === 25, 'starting oxygen is 25');
   assert(s.round === 1, 'starts at round 1');
-  assert(s.chips.length === 32, 'board has 32 chips');
+  assert(s.spaces.length === 32, 'board has 32 spaces');
+  assert(s.spaces.every((space) => space.length === 1), 'each space starts with one chip');
   assert(s.players[0].position === -1, 'player starts on submarine');
 }
 
@@ -79,12 +88,12 @@ console.log('\n=== Pickup / Drop ===');
   const s = freshState();
   const p = s.players[0];
   p.position = 5;
-  assert(canPickUp(p, s.chips) === true, 'can pick up when chip exists');
-  s.chips[5] = null;
-  assert(canPickUp(p, s.chips) === false, 'cannot pick up from empty space');
-  assert(canDrop(p, s.chips) === false, 'cannot drop with no chips carried');
+  assert(canPickUp(p, s.spaces) === true, 'can pick up when chip exists');
+  s.spaces[5] = [];
+  assert(canPickUp(p, s.spaces) === false, 'cannot pick up from empty space');
+  assert(canDrop(p, s.spaces) === false, 'cannot drop with no chips carried');
   p.carried = [{ id: 99, level: 1, value: 1 }];
-  assert(canDrop(p, s.chips) === true, 'can drop on empty space');
+  assert(canDrop(p, s.spaces) === true, 'can drop on empty space');
 }
 
 console.log('\n=== Round End ===');
@@ -97,6 +106,45 @@ console.log('\n=== Round End ===');
   assert(isRoundOver(10, [p1, p2]) === false, 'round NOT over when player still diving');
 }
 
+console.log('\n=== Sunken Stacks ===');
+{
+  const s = freshState();
+  const [alice, bob] = s.players;
+  alice.position = 10;
+  alice.carried = [{ id: 90, level: 1, value: 1 }, { id: 91, level: 2, value: 5 }];
+  bob.position = 20;
+  bob.carried = [{ id: 92, level: 3, value: 9 }, { id: 93, level: 4, value: 13 }];
+  s.oxygen = 0;
+  endRound(s);
+  const stacks = s.spaces.slice(-2);
+  assert(chipCount(stacks[0]) === 3 && chipCount(stacks[1]) === 1, '4 drowned chips form stacks of up to 3');
+  assert(stacks[0][0].id === 92, 'deepest diver\'s chips sink first');
+  assert(s.boardSize === 34, 'board grows by the number of stacks');
+
+  const p = s.players[s.currentPlayerIndex];
+  p.position = s.boardSize - 2;
+  pickUpChip(s);
+  assert(p.carried.length === 3, 'picking up a stack takes every chip in it');
+  assert(oxygenCost(p) === 3, 'each chip in a stack costs oxygen');
+}
+
+console.log('\n=== Multi-chip Spaces ===');
+{
+  const s = freshState();
+  const p = s.players[0];
+  p.position = 3;
+  s.spaces[3].push({ id: 95, level: 2, value: 6 }, { id: 96, level: 3, value: 10 });
+  assert(chipCount(s.spaces[3]) === 3, 'a space can hold a pile of chips');
+  applyDepthCharge(s);
+  assert(s.spaces[3].length === 0, 'depth charge destroys the whole pile');
+  assert(s.oxygen === 22 && p.depthCharges === 0, 'depth charge costs oxygen and a charge');
+
+  p.carried = [{ id: 97, level: 1, value: 2 }, { id: 98, level: 4, value: 14 }];
+  dropChip(s);
+  assert(s.spaces[3].length === 1 && s.spaces[3][0].id === 98, 'drop places one chip on the empty space');
+  assert(p.carried.length === 1, 'dropped chip leaves the diver');
+}
+
 console.log('\n=== Scoring ===');
 {
   const p = createPlayer(0, 'Scorer');
@@ -104,6 +152,67 @@ console.log('\n=== Scoring ===');
   assert(playerScore(p) === 18, 'score sums chip values');
 }
 
+console.log('\n=== Tie-breaking ===');
+{
+  const players = ['Ann', 'Ben', 'Cid', 'Dee'].map((n, i) => createPlayer(i, n));
+  players[0].scored = [{ level: 1, value: 3 }, { level: 3, value: 9 }];   // 12, one L3
+  players[1].scored = [{ level: 2, value: 6 }, { level: 2, value: 6 }];   // 12, two L2
+  players[2].scored = [{ level: 4, value: 12 }];                          // 12, one L4
+  players[3].scored = [{ level: 1, value: 2 }];
+  const board = scoreboard(players);
+  assert(board.map(r => r.name).join() === 'Cid,Ann,Ben,Dee', 'equal points → more higher-level chips ranks first');
+  assert(board.map(r => r.place).join() === '1,2,3,4', 'tie-breaker gives distinct places');
+  assert(board[0].tieBreak && !board[3].tieBreak, 'tie-broken rows are flagged');
+  assert(JSON.stringify(winners(players)) === '["Cid"]', 'single winner after the tie-breaker');
+
+  players[0].scored = [{ level: 4, value: 12 }];
+  const shared = scoreboard(players);
+  assert(shared[0].place === 1 && shared[1].place === 1 && shared[2].place === 3, 'identical results share a place');
+  assert(winners(players).length === 2, 'shared first place → multiple winners');
+
+  const s = freshState();
+  s.round = s.maxRounds;
+  s.players.forEach(p => { p.scored = [{ level: 2, value: 7 }]; });
+  endRound(s);
+  assert(s.gameOver && Array.isArray(s.winner) && s.winner.length === 2, 'state.winner lists every tied winner');
+  assert(s.log.some(l => l.includes('Shared win')), 'shared win is logged');
+}
+
+console.log('\n=== Secret Hand ===');
+{
+  const s = createGameState(['Alice', 'Bob'], { rules: RULE_PRESETS.secretHand.rules });
+  const [alice, bob] = s.players;
+  alice.position = 0;
+  const chip = s.spaces[0][0];
+  pickUpChip(s);
+  assert(!chip.discovered && s.log.at(-1) === `Alice picks up a level-${chip.level} chip from space 0 and keeps its value secret.`,
+    'picking up keeps the chip face down and its value out of the log');
+  assert(projectState(s, 0).players[0].carried[0].value === chip.value, 'the owner sees their own hand');
+  assert(projectState(s, 1).players[0].carried[0].value === null, 'other players do not');
+
+  alice.scored = [alice.carried.pop()];
+  bob.scored = [{ id: 98, level: 2, value: 6, discovered: false }];
+  assert(projectState(s, 1).players[0].scored[0].value === null, 'banked chips stay secret until the round is scored');
+  endRound(s);
+  assert(alice.scored[0].discovered && bob.scored[0].discovered, 'scoring the round reveals every banked chip');
+  assert(s.log.some((l) => l.includes('Bob reveals') && l.includes('6')), 'the reveal is logged with its values');
+
+  const diver = createGameState(['Alice', 'Bob'], { rules: { hideCarried: true } });
+  const [carrier] = diver.players;
+  carrier.position = 1;
+  carrier.direction = 'up';
+  carrier.carried = [{ id: 97, level: 3, value: 11, discovered: false }];
+  applyMovement(diver, 6);
+  assert(carrier.scored[0].discovered && diver.log.at(-1) === '🔍 Alice reveals a level-3 chip worth 11.',
+    'with hideCarried a banked chip is turned over and logged');
+
+  const open = freshState();
+  open.players[0].position = 0;
+  const openChip = open.spaces[0][0];
+  pickUpChip(open);
+  assert(openChip.discovered && open.log.at(-1).includes(`worth ${openChip.value}`), 'without the rule a picked-up chip is shown to all');
+}
+
 console.log('\n=== Turn Engine Integration ===');
 {
   const s = freshState();
@@ -115,6 +224,34 @@ console.log('\n=== Turn Engine Integration ===');
   assert(s.players[0].position >= 0, 'player moved onto board');
 }
 
+console.log('\n=== Rule Sets ===');
+{
+  const s = createGameState(['Alice', 'Bob'], { rules: RULE_PRESETS.short.rules });
+  assert(s.rules.totalRounds === 2 && s.maxRounds === 2, 'short game has 2 rounds');
+  assert(s.oxygen === 20 && s.spaces.length === 24, 'short game uses its oxygen and board layout');
+
+  const high = createGameState(['Alice', 'Bob'], { rules: RULE_PRESETS.highOxygen.rules });
+  endRound(high);
+  assert(high.oxygen === 35, 'oxygen refills to the variant amount each round');
+
+  const rules = resolveRules({ startingOxygen: -4, anchorCost: 10, bogus: 1 });
+  assert(rules.startingOxygen === 25, 'invalid overrides are ignored');
+  assert(!('bogus' in rules), 'unknown overrides are ignored');
+  const ranges = (top) => ({ 1: [0, 3], 2: [4, 7], 3: [8, 11], 4: [12, top] });
+  assert(resolveRules({ levelValueRanges: ranges(15.5) }).levelValueRanges[4][1] === 15 &&
+    resolveRules({ levelValueRanges: ranges(18) }).levelValueRanges[4][1] === 18, 'chip value ranges need whole-number bounds');
+  const p = createPlayer(0, 'A', rules);
+  p.scored = [{ value: 8 }];
+  assert(canBuyAnchor(p) === true && canBuyAnchor(p, rules) === false, 'anchor cost comes from the rule set');
+
+  const brutal = resolveRules({ tridentKillMin: 1 });
+  const always = resolveTridentRoll({ seed: 1, state: 1 }, brutal);
+  assert(always.result === 'kill', 'trident odds come from the rule set');
+
+  const coop = createCoopGameState(['A', 'B'], 'treasure', { rules: { coopTreasurePerPlayer: 10 } });
+  assert(coop.coopTarget === 20, 'co-op target comes from the rule set');
+}
+
 /* ── Summary ──────────────────────────────────────────────── */
 console.log(`\n  Results: ${passed} passed, ${failed} failed\n`);
 process.exit(failed > 0 ? 1 : 0);
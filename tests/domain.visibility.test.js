@@ -0,0 +1,58 @@
+/**
+ * State projection tests — what each player and spectator gets to see.
+ * Run with:  node tests/domain.visibility.test.js
+ *
+ * Uses a tiny hand-rolled test runner (no dependencies).
+ */
+
+import { newGame } from '../src/domain/gameState.js';
+import { applyAction } from '../src/domain/actions.js';
+import { projectState } from '../src/domain/visibility.js';
+
+let passed = 0;
+let failed = 0;
+
+const assert = (cond, msg) => {
+  if (cond) {
+    passed++;
+    console.log(`  ✅ ${msg}`);
+  } else {
+    failed++;
+    console.error(`  ❌ FAIL: ${msg}`);
+  }
+};
+
+/* ── Tests ────────────────────────────────────────────────── */
+console.log('\n=== State Projection ===');
+{
+  let s = newGame(['A', 'B'], { seed: 12 });
+  s = applyAction(s, { type: 'choose-direction', playerId: 0, direction: 'down' }).state;
+  s = applyAction(s, { type: 'pick-up', playerId: 0 }).state;
+  const before = JSON.stringify(s);
+  const view = projectState(s, 1);
+  const chips = view.spaces.flat();
+  assert(chips.every((c) => c.value === null) && chips.every((c, i) => c.level === s.spaces.flat()[i].level),
+    'viewers see chip levels and counts but not face-down values');
+  assert(view.rng === null && view.history === null && !view.log.some((line) => line.includes(String(s.rng.seed))),
+    'viewers never learn the seed');
+  assert(view.players[0].carried[0].value === s.players[0].carried[0].value, 'picked-up chips are face up by default');
+  assert(JSON.stringify(s) === before, 'the real state is untouched');
+
+  let h = newGame(['A', 'B'], { seed: 12, rules: { hideCarried: true } });
+  h = applyAction(h, { type: 'choose-direction', playerId: 0, direction: 'down' }).state;
+  const logged = h.log.length;
+  h = applyAction(h, { type: 'pick-up', playerId: 0 }).state;
+  assert(projectState(h, 1).players[0].carried[0].value === null && projectState(h, 0).players[0].carried[0].value !== null,
+    'hideCarried keeps carried values to their owner');
+  assert(projectState(h, null).players[0].carried[0].value === null, 'spectators see no carried values either');
+  assert(h.log.length === logged + 1 && h.log.at(-1).endsWith('keeps its value secret.') && !h.log.at(-1).includes('worth'),
+    'hideCarried keeps the value out of the log');
+  h.gameOver = true;
+  assert(projectState(h, 1) === h, 'nothing is hidden once the game is over');
+
+}
+
+
+/* ── Summary ──────────────────────────────────────────────── */
+console.log(`\n  Results: ${passed} passed, ${failed} failed\n`);
+process.exit(failed > 0 ? 1 : 0);
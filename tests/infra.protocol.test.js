@@ -0,0 +1,81 @@
+/**
+ * Protocol tests — the message schemas and state patches shared by the client
+ * and the server.
+ * Run with:  node tests/infra.protocol.test.js
+ *
+ * Uses a tiny hand-rolled test runner (no dependencies).
+ */
+
+import { newGame } from '../src/domain/gameState.js';
+import { applyAction, legalActions, ACTION_TYPES } from '../src/domain/actions.js';
+import { projectState } from '../src/domain/visibility.js';
+import { checkClientMessage, checkServerMessage, cleanName } from '../src/infra/protocol.js';
+import { diffState, applyPatch } from '../src/infra/patch.js';
+
+let passed = 0;
+let failed = 0;
+
+const assert = (cond, msg) => {
+  if (cond) {
+    passed++;
+    console.log(`  ✅ ${msg}`);
+  } else {
+    failed++;
+    console.error(`  ❌ FAIL: ${msg}`);
+  }
+};
+
+/* ── helper ───────────────────────────────────────────────── */
+const freshState = () => newGame(['Alice', 'Bob']);
+
+/* ── Tests ────────────────────────────────────────────────── */
+console.log('\n=== Protocol Messages ===');
+{
+  const action = checkClientMessage({ type: 'action', action: 'choose-direction', payload: { direction: 'down' }, extra: 1 });
+  assert(action.message && !('extra' in action.message), 'a valid message passes with unlisted fields dropped');
+  assert(checkClientMessage({ type: 'action', action: 'choose-direction', payload: { direction: 'sideways' } }).error?.code === 'INVALID_FIELD',
+    'action payloads are checked field by field');
+  assert(ACTION_TYPES.every((type) => !checkClientMessage({ type: 'action', action: type }).error), 'every reducer action can be sent');
+  assert(checkClientMessage({ type: 'join', code: 'ABCD', name: 'x'.repeat(13) }).error?.code === 'INVALID_FIELD', 'over-long names are rejected');
+  assert(checkClientMessage({ type: 'nope' }).error?.code === 'UNKNOWN_TYPE' && checkClientMessage(null).error?.code === 'UNKNOWN_TYPE',
+    'unknown message types are rejected');
+  assert(!checkServerMessage({ type: 'state', seq: 1, state: freshState(), playerId: null, event: {}, clock: null }).error, 'server state messages pass');
+  assert(cleanName('  <b>Al\u202eice</b>\n ') === 'bAlice/b', 'names lose markup characters, control and bidi characters and extra whitespace');
+  assert(cleanName('\u200b\u0007 ') === '' && cleanName('👨‍👩‍👧 Ann') === '👨‍👩‍👧 Ann', 'invisible names come out empty; emoji keep their joiners');
+}
+
+
+console.log('\n=== State Patches ===');
+{
+  // Patch the projected views of a scripted game from one move to the next, as the server does
+  let s = newGame(['A', 'B', 'C'], { seed: 77 });
+  const views = [projectState(s, 0)];
+  while (!s.gameOver && views.length < 2000) {
+    s = applyAction(s, legalActions(s, s.currentPlayerIndex)[0]).state;
+    views.push(projectState(s, 0));
+  }
+  const patched = views.slice(1).every((view, i) => JSON.stringify(applyPatch(views[i], diffState(views[i], view))) === JSON.stringify(view));
+  assert(patched, 'patching each view onto the previous one rebuilds every state of a full game');
+
+  const [before, after] = views;
+  const copy = JSON.stringify(before);
+  const next = applyPatch(before, diffState(before, after));
+  assert(JSON.stringify(before) === copy && next.rules === before.rules, 'patching copies only what changed and leaves the input alone');
+  const logOps = diffState(before, after).filter((op) => op.path[0] === 'log');
+  assert(logOps.length === 1 && logOps[0].op === 'append', 'new log lines are sent as one append');
+
+  const a = { list: [1, 2, 3], gone: true, keep: { x: 1 } };
+  const b = { list: [1, 5], keep: { x: 1 }, added: null };
+  assert(JSON.stringify(applyPatch(a, diffState(a, b))) === JSON.stringify(b) && diffState(b, b).length === 0,
+    'shrinking arrays, removed and added keys round-trip; no change is an empty patch');
+  let threw = false;
+  try { applyPatch({ players: [] }, [{ op: 'set', path: ['players', 2, 'name'], value: 'X' }]); } catch { threw = true; }
+  assert(threw, 'a patch made for another state is refused');
+  assert(!checkServerMessage({ type: 'patch', seq: 2, patch: diffState(before, after), playerId: 0, event: {}, clock: null }).error,
+    'patch messages pass the protocol check');
+}
+
+
+/* ── Summary ──────────────────────────────────────────────── */
+console.log(`\n  Results: ${passed} passed, ${failed} failed\n`);
+process.exit(failed > 0 ? 1 : 0);